@@ -0,0 +1,72 @@
+/*
+  crisis-detector.js checks text for phrasing that suggests thoughts of
+  suicide, self-harm or acute crisis. It runs entirely on this device.
+
+  The page loads it before script.js, which reads it from
+  window.m2mCrisisDetector. Under Node it is a CommonJS module, so
+  tests/crisis-detector.test.js can check it against example phrases.
+*/
+(function(root) {
+  // Each pattern runs on lower-cased text with straight apostrophes.
+  // `negatable` patterns are ignored right after "not", "never", etc.
+  const CRISIS_PATTERNS = [
+    { pattern: /\b(kill|killing|hang|hanging|drown|drowning|shoot|shooting) myself\b/, negatable: true },
+    { pattern: /\b(end|ending|take|taking) my (own )?life\b/, negatable: true },
+    { pattern: /\bsuicid(e|al)\b/, negatable: true },
+    { pattern: /\b(want|wanna|ready|wish i was|wish i were|i'd rather be) (to )?(die|dead)\b/, negatable: true },
+    { pattern: /\b(hurt|hurting|harm|harming|cut|cutting|burn|burning) myself\b/, negatable: true },
+    { pattern: /\bself[- ]?harm(ing)?\b/, negatable: true },
+    { pattern: /\b(don't|do not|dont) want to (live|be alive|exist|wake up)( anymore)?\b/, negatable: false },
+    { pattern: /\b(no|nothing|no reason) (reason )?to live( for)?\b/, negatable: false },
+    { pattern: /\b(better off|be better) (dead|without me)\b/, negatable: false },
+    { pattern: /\b(end it all|end it tonight|end everything)\b/, negatable: true },
+    { pattern: /\b(can't|cannot|can not) (go on|keep going|do this) (anymore|any more)\b/, negatable: false },
+    { pattern: /\bnot worth living\b/, negatable: false },
+    { pattern: /\b(overdose|overdosing|od'?ing)\b/, negatable: true },
+    { pattern: /\b(plan|planning|plans) to (die|kill myself|end (it|my life))\b/, negatable: true }
+  ];
+
+  // Phrases that reuse the same words without describing a crisis.
+  const CRISIS_EXCLUSIONS = [
+    /\bsuicide (prevention|awareness|squad|hotline|lifeline)\b/,
+    /\b(movie|film|book|show|documentary|podcast|article|song|class|lecture|training) (about|on) suicide\b/,
+    /\bdying to\b/
+  ];
+
+  const CRISIS_NEGATION = /\b(not|never|no longer|don't|do not|didn't|wouldn't|won't|isn't|wasn't|am not|not feeling)\s+(\w+\s+){0,2}$/;
+
+  function normalizeForSafety(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[‘’ʼ]/g, "'")
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Check text for crisis phrasing. Returns the matched phrases; an empty
+   * list means nothing was found.
+   */
+  function detectCrisisLanguage(text) {
+    let normalized = normalizeForSafety(text);
+    CRISIS_EXCLUSIONS.forEach(exclusion => {
+      normalized = normalized.replace(new RegExp(exclusion.source, 'g'), ' ');
+    });
+    const matches = [];
+    CRISIS_PATTERNS.forEach(({ pattern, negatable }) => {
+      const global = new RegExp(pattern.source, 'g');
+      let match;
+      while ((match = global.exec(normalized))) {
+        const before = normalized.slice(Math.max(0, match.index - 40), match.index);
+        if (!(negatable && CRISIS_NEGATION.test(before))) matches.push(match[0]);
+      }
+    });
+    return matches;
+  }
+
+  const api = { detectCrisisLanguage };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.m2mCrisisDetector = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
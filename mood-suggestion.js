@@ -0,0 +1,143 @@
+/*
+  mood-suggestion.js suggests a mood for entry text, on this device. Text is
+  scored against a small lexicon per mood (words and emoji) plus any
+  keywords the user has attached to a mood. Words are stemmed so "smiled"
+  and "smiling" count as "smile", negations ("not happy at all") cancel the
+  word that follows, and intensifiers ("really", "a bit") scale it.
+
+  The page loads it before script.js, which reads it from
+  window.m2mMoodSuggestion. Under Node it is a CommonJS module, so
+  tests/mood-suggestion.test.js can check it against example entries.
+*/
+(function(root) {
+  const moodKeywords = {
+    Happy: ['happy','joy','smile','glad','content','cheerful','delighted','bliss','laugh','grateful','thankful','great','wonderful','love','good','fun'],
+    Sad: ['sad','down','unhappy','tearful','sorrow','depressed','cry','blue','lonely','miserable','heartbroken','hurt','miss','grief','gloomy','empty'],
+    Angry: ['angry','mad','furious','annoyed','rage','frustrated','irritated','upset','hate','resent','livid','pissed','fuming'],
+    Excited: ['excited','thrilled','eager','enthusiastic','pumped','elated','hyped','ecstatic','stoked','awesome','amazing'],
+    Calm: ['calm','relaxed','peaceful','tranquil','chill','serene','soothe','rest','quiet','meditate','breathe','easy','mellow']
+  };
+
+  const moodEmoji = {
+    Happy: ['😀','😃','😄','😁','😊','🙂','😂','🥰','😍','☺'],
+    Sad: ['😢','😭','😞','😔','☹','🙁','😿','💔','😥'],
+    Angry: ['😠','😡','🤬','💢','😤'],
+    Excited: ['🤩','🎉','🥳','🙌','🔥','⚡'],
+    Calm: ['😌','🧘','🍃','🌿','☕','🌊']
+  };
+
+  // Set phrases whose words would mislead the scorer, read as the word they
+  // mean: "can't wait" is eagerness, not a negated "wait".
+  const SUGGESTION_IDIOMS = [
+    { tokens: ['cant', 'wait'], means: 'excited' },
+    { tokens: ['cannot', 'wait'], means: 'excited' },
+    { tokens: ['can', 'not', 'wait'], means: 'excited' },
+    { tokens: ['couldnt', 'wait'], means: 'excited' }
+  ];
+
+  const SUGGESTION_NEGATORS = new Set(['not','no','never','nothing','without','hardly','barely','neither','nor','isnt','wasnt','dont','didnt','doesnt','arent','werent','cant','couldnt','wont','wouldnt','aint']);
+  const SUGGESTION_INTENSIFIERS = { very: 1.5, really: 1.5, so: 1.5, extremely: 2, super: 1.5, incredibly: 2, totally: 1.5, absolutely: 2, completely: 1.5, truly: 1.5, deeply: 1.5, quite: 1.2, too: 1.3, slightly: 0.5, somewhat: 0.6, bit: 0.5, little: 0.6, kinda: 0.6, mildly: 0.5 };
+  const SUGGESTION_NEGATION_WINDOW = 3;
+  const MIN_SUGGESTION_CONFIDENCE = 0.25;
+
+  // Reduce a word to a stem shared by its plural and verb forms
+  // ("cries", "cried", "crying" -> "cri"; "smiled", "smile" -> "smil").
+  function stemMoodWord(word) {
+    let stem = word.replace(/(ies|ied)$/, 'y');
+    const stripped = stem.replace(/(ness|ing|ful|ed|es|ly|(?<!s)s)$/, '');
+    if (stripped.length >= 3) stem = stripped;
+    return stem.replace(/e$/, '').replace(/y$/, 'i');
+  }
+
+  // Words, emoji and clause breaks, in order. Clause breaks end a negation.
+  function tokenizeForSuggestion(text) {
+    return (text.toLowerCase().replace(/[‘’ʼ]/g, "'").replace(/\uFE0F/g, '')
+      .match(/[a-z']+|\p{Extended_Pictographic}|[.!?;,]/gu) || [])
+      .map(token => token.replace(/'/g, ''))
+      .filter(Boolean);
+  }
+
+  function replaceIdioms(tokens) {
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const idiom = SUGGESTION_IDIOMS.find(({ tokens: words }) => words.every((word, j) => tokens[i + j] === word));
+      if (idiom) {
+        result.push(idiom.means);
+        i += idiom.tokens.length - 1;
+      } else {
+        result.push(tokens[i]);
+      }
+    }
+    return result;
+  }
+
+  // Map each stem or emoji to the visible moods it hints at.
+  function buildMoodLexicon(moods) {
+    const lexicon = new Map();
+    const add = (term, mood) => {
+      if (!lexicon.has(term)) lexicon.set(term, new Set());
+      lexicon.get(term).add(mood);
+    };
+    moods.filter(mood => !mood.hidden).forEach(mood => {
+      (moodKeywords[mood.name] || []).forEach(word => add(stemMoodWord(word), mood.name));
+      (moodEmoji[mood.name] || []).forEach(emoji => add(emoji, mood.name));
+      add(stemMoodWord(mood.name.toLowerCase()), mood.name);
+      (mood.keywords || []).forEach(keyword => {
+        tokenizeForSuggestion(keyword).forEach(token => {
+          add(/^[a-z0-9]+$/.test(token) ? stemMoodWord(token) : token, mood.name);
+        });
+      });
+    });
+    return lexicon;
+  }
+
+  /**
+   * Suggest one of `moods` ({ name, hidden, keywords } objects) for entry
+   * text. Returns { mood, confidence } with confidence between 0 and 1, or
+   * null when nothing stands out.
+   */
+  function analyzeMoodSuggestion(text, moods) {
+    const lexicon = buildMoodLexicon(moods);
+    const scores = {};
+    let sinceNegation = Infinity;
+    let multiplier = 1;
+    replaceIdioms(tokenizeForSuggestion(text)).forEach(token => {
+      if (/^[.!?;,]$/.test(token) || token === 'but') {
+        sinceNegation = Infinity;
+        multiplier = 1;
+        return;
+      }
+      if (SUGGESTION_NEGATORS.has(token)) {
+        sinceNegation = 0;
+        return;
+      }
+      if (SUGGESTION_INTENSIFIERS[token]) {
+        multiplier *= SUGGESTION_INTENSIFIERS[token];
+        return;
+      }
+      sinceNegation++;
+      const matched = lexicon.get(/^[a-z0-9]+$/.test(token) ? stemMoodWord(token) : token);
+      if (matched) {
+        const negated = sinceNegation <= SUGGESTION_NEGATION_WINDOW;
+        matched.forEach(mood => {
+          scores[mood] = (scores[mood] || 0) + (negated ? -0.5 : multiplier);
+        });
+      }
+      multiplier = 1;
+    });
+    const positive = Object.entries(scores).filter(([, score]) => score > 0).sort((a, b) => b[1] - a[1]);
+    if (!positive.length) return null;
+    const [mood, best] = positive[0];
+    const total = positive.reduce((sum, [, score]) => sum + score, 0);
+    // Share of the evidence, discounted when there is only a word or two.
+    const confidence = (best / total) * Math.min(1, best / 2);
+    return confidence >= MIN_SUGGESTION_CONFIDENCE ? { mood, confidence } : null;
+  }
+
+  const api = { moodKeywords, moodEmoji, analyzeMoodSuggestion };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.m2mMoodSuggestion = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
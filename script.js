@@ -1,14 +1,17 @@
 /*
   script.js implements the interactive behaviour for Mood-To-Memories.
-  It handles saving entries to localStorage, rendering them onto the page,
+  It handles saving entries to IndexedDB (or localStorage where IndexedDB is
+  unavailable), rendering them onto the page,
   generating a bar chart of mood frequencies, toggling the dark/light theme,
-  and powering a simple chat interface that connects to Google’s generative
-  language API (Gemini/PaLM) using an API key.
+  and powering a simple chat interface backed by a pluggable AI provider:
+  Google’s Gemini API, any OpenAI-compatible chat-completions endpoint (such
+  as a local Ollama or llama.cpp server), or no AI at all.
 
-  You can either:
+  For Gemini you can either:
   - Hard-code your Gemini API key in GEMINI_API_KEY for private/local builds, or
   - Leave it empty and the website will ask the user to enter an API key
     the first time an AI feature is used, then store it in this browser only.
+  The provider, model and base URL are chosen in AI settings.
 */
 
 (function() {
@@ -58,7 +61,12 @@
   // Global state
   let entries = [];
   let moodChart;
-  let conversationHistory = [];
+  // Saved chat conversations, each { id, title, createdAt, updatedAt,
+  // messages, summary, summarizedCount }, and the one shown in the chat.
+  let chatThreads = [];
+  let activeThreadId = null;
+  // BM25 index over entry text for the chatbot, rebuilt after entries change.
+  let retrievalIndex = null;
   let moodList = [];
   let filterMood = null;
   let filterDate = null;
@@ -67,148 +75,555 @@
   // Names of built-in moods that cannot be removed.
   const builtInMoodNames = ['Happy', 'Sad', 'Angry', 'Excited', 'Calm'];
 
-  // Cache for generated mixture feelings per date.
-  const mixFeelings = {};
+  // Intensity range for each mood on an entry, and the value given to
+  // entries saved before intensities existed.
+  const MIN_MOOD_INTENSITY = 1;
+  const MAX_MOOD_INTENSITY = 5;
+  const DEFAULT_MOOD_INTENSITY = 3;
+
+  function clampIntensity(value) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return DEFAULT_MOOD_INTENSITY;
+    return Math.min(MAX_MOOD_INTENSITY, Math.max(MIN_MOOD_INTENSITY, n));
+  }
 
   /**
-   * Return an array of the most recent moods for use in affirmation
-   * generation.
+   * Convert an entry (or revision) from the single `mood` string used by
+   * older versions to the `moods` array of { name, intensity }. Returns
+   * true when the object was changed.
    */
-  function getRecentMoodsForAffirmation(limit = 5) {
+  function migrateEntryMoods(record) {
+    if (Array.isArray(record.moods)) return false;
+    record.moods = typeof record.mood === 'string' && record.mood
+      ? [{ name: record.mood, intensity: DEFAULT_MOOD_INTENSITY }]
+      : [];
+    delete record.mood;
+    return true;
+  }
+
+  function getEntryMoodNames(entry) {
+    return entry.moods.map(m => m.name);
+  }
+
+  function entryHasMood(entry, name) {
+    return entry.moods.some(m => m.name === name);
+  }
+
+  // The most intense mood on an entry; the first one listed wins ties.
+  function getPrimaryMood(entry) {
+    return entry.moods.reduce((best, m) => (!best || m.intensity > best.intensity ? m : best), null);
+  }
+
+  // e.g. "Sad 4/5 · Calm 2/5"
+  function formatEntryMoods(moods) {
+    return moods.map(m => `${m.name} ${m.intensity}/${MAX_MOOD_INTENSITY}`).join(' · ');
+  }
+
+  function sameMoods(a, b) {
+    return a.length === b.length && a.every((m, i) => m.name === b[i].name && m.intensity === b[i].intensity);
+  }
+
+  // The most recent entries, oldest first.
+  function getRecentEntries(limit = 5) {
     if (!entries || entries.length === 0) return [];
-    const recent = entries.slice(-limit);
-    return recent.map(e => e.mood);
+    return entries.slice().sort((a, b) => a.timestamp - b.timestamp).slice(-limit);
   }
 
   /**
-   * Generate a positive affirmation sentence based on a list of moods.
+   * Return the moods (with intensities) of the most recent entries, for
+   * use in affirmation generation and the chatbot context.
    */
-  async function generateAffirmationForMoods(moods) {
-    try {
-      const apiKey = await getApiKey();
-      if (!apiKey) return null;
-      const modelName = 'gemini-2.5-flash';
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-      let prompt;
-      if (moods && moods.length > 0) {
-        const unique = Array.from(new Set(moods));
-        prompt = `Based on the moods ${unique.join(', ')}, craft a single positive affirmation sentence that encourages the user and helps them reflect constructively. Do not list the moods explicitly; instead weave their essence into the affirmation.`;
-      } else {
-        prompt = 'Provide a single positive affirmation sentence to encourage reflection and positivity.';
-      }
-      const requestBody = {
-        contents: [
-          {
-            role: 'user',
-            parts: [{ text: prompt }]
-          }
-        ]
-      };
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Goog-Api-Key': apiKey
-        },
-        body: JSON.stringify(requestBody)
-      });
-      if (!response.ok) throw new Error(`API error: ${response.status}`);
-      const data = await response.json();
-      const candidate = data?.candidates?.[0];
-      if (candidate && candidate.content && candidate.content.parts && candidate.content.parts[0]) {
-        const text = candidate.content.parts[0].text;
-        return text ? text.trim() : null;
-      }
-    } catch (err) {
-      console.error('generateAffirmationForMoods error', err);
-    }
-    return null;
+  function getRecentMoodsForAffirmation(limit = 5) {
+    return getRecentEntries(limit).flatMap(e => e.moods);
+  }
+
+  /**
+   * Summarise a list of { name, intensity } for an AI prompt, merging
+   * repeats into an average intensity, e.g.
+   * "Sad (intensity 4/5, logged 2 times), Calm (intensity 2/5)".
+   */
+  function describeMoodsForPrompt(moods) {
+    const byName = new Map();
+    moods.forEach(m => {
+      const item = byName.get(m.name) || { total: 0, count: 0 };
+      item.total += m.intensity;
+      item.count++;
+      byName.set(m.name, item);
+    });
+    return Array.from(byName.entries())
+      .sort((a, b) => b[1].count - a[1].count)
+      .map(([name, { total, count }]) => {
+        const avg = Math.round(total / count * 10) / 10;
+        const times = count > 1 ? `, logged ${count} times` : '';
+        return `${name} (intensity ${avg}/${MAX_MOOD_INTENSITY}${times})`;
+      })
+      .join(', ');
   }
 
   /**
-   * Generate a mixture feeling phrase for a given date.
+   * Generate a positive affirmation sentence based on a list of
+   * { name, intensity } moods. With `needsCare` (recent entries mention
+   * self-harm or suicide) it asks for a gentle supportive message instead.
    */
-  async function generateMixtureFeelingForDate(dateString) {
-    if (!dateString) return null;
-    if (mixFeelings[dateString]) return mixFeelings[dateString];
-    const dayEntries = entries.filter(e => new Date(e.timestamp).toDateString() === dateString);
-    if (dayEntries.length < 4) return null;
-    const moods = dayEntries.map(e => e.mood);
-    const feeling = await generateAffirmationForMoods(moods);
-    if (feeling) {
-      mixFeelings[dateString] = feeling;
-      return feeling;
+  async function generateAffirmationForMoods(moods, needsCare = false) {
+    let prompt;
+    if (needsCare) {
+      prompt = `Write one or two short sentences for the top of someone's journal. ${CRISIS_CARE_INSTRUCTION}`;
+    } else if (moods && moods.length > 0) {
+      prompt = `Based on the moods ${describeMoodsForPrompt(moods)}, on a scale where 1 is mild and ${MAX_MOOD_INTENSITY} is intense, craft a single positive affirmation sentence that encourages the user and helps them reflect constructively. Let stronger feelings carry more weight. Do not list the moods or numbers explicitly; instead weave their essence into the affirmation.`;
+    } else {
+      prompt = 'Provide a single positive affirmation sentence to encourage reflection and positivity.';
+    }
+    const preferences = needsCare ? '' : describeAffirmationPreferences();
+    if (preferences) prompt += `\n\n${preferences}`;
+    try {
+      return await aiComplete({ messages: [{ role: 'user', content: prompt }] });
+    } catch (err) {
+      console.error('generateAffirmationForMoods error', err);
     }
     return null;
   }
 
   /**
-   * Compute an average colour for an array of moods.
+   * Compute an average colour for an array of moods. Each item may be a
+   * mood name or a { name, intensity } object; intensity is the blend
+   * weight, so stronger feelings pull the colour further.
    */
   function getAverageColorForMoods(moods) {
     if (!moods || moods.length === 0) return null;
-    const colours = moods
-      .map(m => moodList.find(x => x.name === m)?.color)
-      .filter(Boolean);
-    if (colours.length === 0) return null;
-    if (colours.length === 1) return colours[0];
-    let totalR = 0, totalG = 0, totalB = 0;
-    colours.forEach(hex => {
-      const c = hex.replace('#', '');
+    const weighted = moods
+      .map(m => (typeof m === 'string' ? { name: m, intensity: 1 } : m))
+      .map(m => ({ color: moodList.find(x => x.name === m.name)?.color, weight: m.intensity }))
+      .filter(m => m.color && m.weight > 0);
+    if (weighted.length === 0) return null;
+    if (weighted.length === 1) return weighted[0].color;
+    let totalR = 0, totalG = 0, totalB = 0, totalWeight = 0;
+    weighted.forEach(({ color, weight }) => {
+      const c = color.replace('#', '');
       const r = parseInt(c.substring(0, 2), 16);
       const g = parseInt(c.substring(2, 4), 16);
       const b = parseInt(c.substring(4, 6), 16);
-      totalR += r;
-      totalG += g;
-      totalB += b;
-    });
-    const len = colours.length;
-    const avgR = Math.round(totalR / len);
-    const avgG = Math.round(totalG / len);
-    const avgB = Math.round(totalB / len);
+      totalR += r * weight;
+      totalG += g * weight;
+      totalB += b * weight;
+      totalWeight += weight;
+    });
+    const avgR = Math.round(totalR / totalWeight);
+    const avgG = Math.round(totalG / totalWeight);
+    const avgB = Math.round(totalB / totalWeight);
     const toHex = n => n.toString(16).padStart(2, '0');
     return `#${toHex(avgR)}${toHex(avgG)}${toHex(avgB)}`;
   }
 
+  /*
+    Journaling prompts. The built-in library is grouped by category, and
+    users can add their own prompts (kept in `m2mCustomPrompts`) to any
+    category, including new ones. Moods pick the categories that suit them.
+  */
+  const promptLibrary = {
+    gratitude: [
+      'What are three things you’re grateful for?',
+      'What made you smile today?',
+      'Who is someone that inspired you today?',
+      'Recall a happy memory from the past week.',
+      'What is something small that made today easier?',
+      'Who would you like to thank, and what would you say to them?'
+    ],
+    reflection: [
+      'What did you learn about yourself today?',
+      'Describe a moment you felt proud of yourself.',
+      'Write about a time you felt calm and at peace.',
+      'What feeling stayed with you longest today, and where did it come from?',
+      'What would you tell a friend who had the day you had?',
+      'Which moment from today would you like to remember a year from now?'
+    ],
+    stress: [
+      'Write about a challenge you overcame recently.',
+      'What is weighing on you right now, and what part of it can you control?',
+      'What helped, even a little, the last time you felt this way?',
+      'Describe how your body feels right now, from head to toe.',
+      'What can you let go of before tomorrow?',
+      'What is one kind thing you could do for yourself tonight?'
+    ],
+    goals: [
+      'How would you describe your perfect day?',
+      'What’s a small step you can take to improve your wellbeing?',
+      'What are you looking forward to this week?',
+      'What would you try if you knew you couldn’t fail?',
+      'What progress have you made lately that you haven’t celebrated yet?',
+      'Where do you want to be a month from now, and what is the first step?'
+    ]
+  };
+
+  const moodPromptCategories = {
+    Happy: ['gratitude', 'goals'],
+    Excited: ['goals', 'gratitude'],
+    Calm: ['reflection', 'gratitude'],
+    Sad: ['reflection', 'stress'],
+    Angry: ['stress', 'reflection']
+  };
+
+  // Prompts answered this recently are not offered again by the local picker.
+  const PROMPT_REPEAT_DAYS = 14;
+
+  /*
+    AI providers. Every provider implements the same interface:
+
+      complete({ system, messages }, settings) → Promise<string|null>
+
+    `messages` is a list of { role: 'user' | 'assistant', content }, and
+    `settings` holds the chosen model, base URL and API key. A provider
+    resolves to the reply text, resolves to null when it has nothing to say
+    (callers then use their built-in fallbacks) and throws on network or
+    API errors.
+
+    Providers may also implement
+
+      stream(request, settings, onToken, signal) → Promise<{ text, toolCalls }>
+
+    which calls onToken with each piece of text as it arrives, resolves to
+    the whole reply and stops when `signal` is aborted. When the request
+    carries `tools` ({ name, description, parameters } with a JSON schema),
+    the model may answer with calls to them, returned as toolCalls of
+    { id, name, args }. To send results back, the request repeats that turn
+    as { role: 'assistant', content, toolCalls } followed by one
+    { role: 'tool', toolCallId, name, content } message per call, where
+    `content` is the result object; each provider turns these into its own
+    function-call and function-response messages.
+  */
+
+  /**
+   * Read a server-sent events response, calling onData with the parsed
+   * JSON of each `data:` line. A `data: [DONE]` line ends the stream.
+   */
+  async function readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handleLine = line => {
+      if (!line.startsWith('data:')) return false;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return true;
+      if (payload) onData(JSON.parse(payload));
+      return false;
+    };
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (handleLine(line)) {
+          reader.cancel().catch(() => {});
+          return;
+        }
+      }
+    }
+    handleLine(buffer + decoder.decode());
+  }
+
+  function toGeminiContents({ system, messages }) {
+    const contents = [];
+    // Gemini has no system role here, so the instructions lead the
+    // conversation as the first user turn.
+    if (system) contents.push({ role: 'user', parts: [{ text: system }] });
+    messages.forEach(m => {
+      if (m.role === 'tool') {
+        const part = { functionResponse: { name: m.name, response: m.content } };
+        // Results of calls made in the same turn go back together.
+        const previous = contents[contents.length - 1];
+        if (previous?.parts.every(p => p.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+        return;
+      }
+      const parts = m.content || !m.toolCalls?.length ? [{ text: m.content }] : [];
+      (m.toolCalls || []).forEach(call => {
+        const part = { functionCall: { name: call.name, args: call.args } };
+        if (call.signature) part.thoughtSignature = call.signature;
+        parts.push(part);
+      });
+      contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts });
+    });
+    return contents;
+  }
+
+  function toOpenAiMessages({ system, messages }) {
+    const converted = messages.map(m => {
+      if (m.role === 'tool') {
+        return { role: 'tool', tool_call_id: m.toolCallId, content: JSON.stringify(m.content) };
+      }
+      if (m.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: m.content || null,
+          tool_calls: m.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args) }
+          }))
+        };
+      }
+      return { role: m.role, content: m.content };
+    });
+    return system ? [{ role: 'system', content: system }, ...converted] : converted;
+  }
+
+  const aiProviders = {
+    gemini: {
+      label: 'Google Gemini',
+      defaultModel: 'gemini-2.5-flash',
+      defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      keyStorageKey: 'm2mGeminiKey',
+      keyRequired: true,
+      async complete(request, settings) {
+        const url = `${settings.baseUrl}/models/${settings.model}:generateContent`;
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': settings.apiKey
+          },
+          body: JSON.stringify({ contents: toGeminiContents(request) })
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        const data = await response.json();
+        return data?.candidates?.[0]?.content?.parts?.[0]?.text ?? null;
+      },
+      async stream(request, settings, onToken, signal) {
+        const url = `${settings.baseUrl}/models/${settings.model}:streamGenerateContent?alt=sse`;
+        const body = { contents: toGeminiContents(request) };
+        if (request.tools?.length) body.tools = [{ functionDeclarations: request.tools }];
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': settings.apiKey
+          },
+          body: JSON.stringify(body),
+          signal
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        let text = '';
+        const toolCalls = [];
+        await readEventStream(response, data => {
+          const parts = data?.candidates?.[0]?.content?.parts || [];
+          parts.forEach(part => {
+            if (part.functionCall) {
+              toolCalls.push({
+                id: part.functionCall.id || `call_${toolCalls.length}`,
+                name: part.functionCall.name,
+                args: part.functionCall.args || {},
+                // Thinking models expect this back with the call.
+                signature: part.thoughtSignature
+              });
+            }
+            if (!part.text) return;
+            text += part.text;
+            onToken(part.text);
+          });
+        });
+        return { text, toolCalls };
+      }
+    },
+    openai: {
+      label: 'OpenAI-compatible (OpenAI, Ollama, llama.cpp…)',
+      defaultModel: 'llama3.2',
+      defaultBaseUrl: 'http://localhost:11434/v1',
+      keyStorageKey: 'm2mOpenAiKey',
+      keyRequired: false,
+      async complete(request, settings) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+        const response = await fetch(`${settings.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ model: settings.model, messages: toOpenAiMessages(request) })
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        const data = await response.json();
+        return data?.choices?.[0]?.message?.content ?? null;
+      },
+      async stream(request, settings, onToken, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+        const body = { model: settings.model, messages: toOpenAiMessages(request), stream: true };
+        if (request.tools?.length) {
+          body.tools = request.tools.map(tool => ({ type: 'function', function: tool }));
+        }
+        const response = await fetch(`${settings.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        let text = '';
+        // Tool call names and arguments arrive in pieces, keyed by index.
+        const partialCalls = [];
+        await readEventStream(response, data => {
+          const delta = data?.choices?.[0]?.delta || {};
+          (delta.tool_calls || []).forEach(call => {
+            const partial = partialCalls[call.index ?? 0] || (partialCalls[call.index ?? 0] = { id: '', name: '', args: '' });
+            if (call.id) partial.id = call.id;
+            if (call.function?.name) partial.name += call.function.name;
+            if (call.function?.arguments) partial.args += call.function.arguments;
+          });
+          const token = delta.content;
+          if (!token) return;
+          text += token;
+          onToken(token);
+        });
+        const toolCalls = partialCalls.map((call, index) => {
+          let args = {};
+          try {
+            args = call.args ? JSON.parse(call.args) : {};
+          } catch (err) {
+            console.warn(`Could not parse arguments for ${call.name}`, err);
+          }
+          return { id: call.id || `call_${index}`, name: call.name, args };
+        }).filter(Boolean);
+        return { text, toolCalls };
+      }
+    },
+    none: {
+      label: 'No AI (offline)',
+      offline: true,
+      async complete() {
+        return null;
+      }
+    },
+    // Deterministic stand-in for tests. Not offered in the settings list;
+    // select it by saving { "provider": "fake" } under m2mAiSettings. A test
+    // page can define window.m2mFakeAi = { replies: [], requests: [] } to
+    // script the replies and inspect what was sent.
+    fake: {
+      label: 'Fake (testing)',
+      hidden: true,
+      async complete(request) {
+        const fake = window.m2mFakeAi;
+        if (fake?.requests) fake.requests.push(request);
+        if (fake?.replies?.length) return fake.replies.shift();
+        const last = request.messages[request.messages.length - 1];
+        const content = typeof last?.content === 'string' ? last.content : JSON.stringify(last?.content ?? '');
+        return `Fake reply to: ${content}`;
+      },
+      // Streams the scripted reply word by word. A test can set
+      // window.m2mFakeAi.fail = true to make the next request fail, and
+      // queue lists of { name, args } in window.m2mFakeAi.toolCalls to
+      // script function calls.
+      async stream(request, settings, onToken, signal) {
+        const fake = window.m2mFakeAi;
+        if (fake?.fail) {
+          fake.fail = false;
+          throw new Error('Fake provider failure');
+        }
+        const scripted = (request.tools?.length && fake?.toolCalls?.shift()) || [];
+        const toolCalls = scripted.map((call, index) => ({ id: `call_${index}`, ...call }));
+        // A turn that calls tools has no text; scripted replies answer the follow-up.
+        const reply = toolCalls.length ? '' : await this.complete(request);
+        const words = reply.split(/(?<=\s)/);
+        let text = '';
+        for (const word of words) {
+          if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+          await new Promise(resolve => setTimeout(resolve, fake?.delay ?? 0));
+          text += word;
+          onToken(word);
+        }
+        return { text, toolCalls };
+      }
+    }
+  };
+
+  const DEFAULT_AI_PROVIDER = 'gemini';
+
+  /**
+   * Read the saved AI settings ({ provider, model, baseUrl }), filling in
+   * the provider's defaults for anything left blank.
+   */
+  function getAiSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('m2mAiSettings')) || {};
+    } catch (e) {
+      saved = {};
+    }
+    const provider = aiProviders[saved.provider] ? saved.provider : DEFAULT_AI_PROVIDER;
+    const def = aiProviders[provider];
+    return {
+      provider,
+      model: (saved.model || '').trim() || def.defaultModel || '',
+      baseUrl: ((saved.baseUrl || '').trim() || def.defaultBaseUrl || '').replace(/\/+$/, '')
+    };
+  }
+
+  function getAiProvider() {
+    return aiProviders[getAiSettings().provider];
+  }
+
+  /**
+   * True when AI requests can't be made: AI is turned off, or the device is
+   * offline and the provider isn't running on this machine. Callers fall
+   * back to the built-in affirmations, prompts and replies.
+   */
+  function isAiOffline() {
+    const settings = getAiSettings();
+    if (aiProviders[settings.provider].offline) return true;
+    if (navigator.onLine !== false || !settings.baseUrl) return false;
+    try {
+      return !['localhost', '127.0.0.1', '[::1]'].includes(new URL(settings.baseUrl).hostname);
+    } catch (err) {
+      return true;
+    }
+  }
+
   /**
-   * Retrieve the Gemini API key for AI features.
+   * Retrieve the API key for the chosen AI provider.
    *
    * Priority:
-   * 1. If GEMINI_API_KEY constant is set (non-empty), use that.
-   * 2. Else, try to read from localStorage ('m2mGeminiKey').
-   * 3. If still missing, PROMPT the user to enter a key once,
-   *    store it in localStorage, and reuse it next time.
+   * 1. For Gemini, if the GEMINI_API_KEY constant is set (non-empty), use that.
+   * 2. Else, read the key saved for the provider (decrypted when the journal
+   *    lock is on).
+   * 3. If a required key is still missing, PROMPT the user to enter it once,
+   *    store it, and reuse it next time.
    *
-   * @returns {Promise<string|null>} The API key or null if user cancels.
+   * @returns {Promise<string|null>} The API key or null if there is none.
    */
-  async function getApiKey() {
+  async function getApiKey(providerName = getAiSettings().provider) {
+    const provider = aiProviders[providerName];
+    if (!provider?.keyStorageKey) return null;
+
     // 1. Use constant if provided (for local/private builds)
-    if (GEMINI_API_KEY && GEMINI_API_KEY.trim().length > 0) {
+    if (providerName === 'gemini' && GEMINI_API_KEY && GEMINI_API_KEY.trim().length > 0) {
       return GEMINI_API_KEY.trim();
     }
 
-    // 2. Check localStorage
+    // 2. Check localStorage (decrypted when the journal lock is on)
     let saved = null;
     try {
-      saved = localStorage.getItem('m2mGeminiKey');
+      saved = await readSecureItem(provider.keyStorageKey);
     } catch (e) {
       console.warn('Unable to access localStorage', e);
     }
     if (saved && saved.trim().length > 0) {
       return saved.trim();
     }
+    if (!provider.keyRequired) return null;
 
     // 3. Ask user via prompt (first time only) for public builds
     const entered = window.prompt(
-      'To enable AI features (chatbot, affirmations, mood summaries), please enter your Gemini API key. ' +
-      'This key will be stored only in this browser and used only to call Google\'s API.'
+      `To enable AI features (chatbot, affirmations, mood summaries), please enter your ${provider.label} API key. ` +
+      'This key will be stored only in this browser and sent only to that provider.'
     );
     if (entered && entered.trim().length > 0) {
       const trimmed = entered.trim();
       try {
-        localStorage.setItem('m2mGeminiKey', trimmed);
+        queueSecureItemWrite(provider.keyStorageKey, trimmed);
       } catch (e) {
-        console.warn('Unable to save Gemini API key to localStorage', e);
+        console.warn('Unable to save API key to localStorage', e);
       }
       return trimmed;
     }
@@ -218,71 +633,168 @@
   }
 
   /**
-   * Generate a journaling prompt (AI if possible, fallback otherwise).
+   * Send a request to the chosen AI provider. Resolves to the trimmed reply,
+   * or null when AI is off, a required key is missing or the reply is
+   * empty. Network and API errors are thrown for the caller to handle.
+   * Pass `apiKey` when the caller has already looked it up.
    */
-  async function generatePrompt() {
-    const localPrompts = [
-      'What made you smile today?',
-      'Describe a moment you felt proud of yourself.',
-      'What are three things you’re grateful for?',
-      'Write about a challenge you overcame recently.',
-      'Who is someone that inspired you today?',
-      'What did you learn about yourself today?',
-      'How would you describe your perfect day?',
-      'What’s a small step you can take to improve your wellbeing?',
-      'Recall a happy memory from the past week.',
-      'Write about a time you felt calm and at peace.'
-    ];
+  async function aiComplete(request, apiKey) {
+    const settings = getAiSettings();
+    const provider = aiProviders[settings.provider];
+    if (isAiOffline()) return null;
+    if (apiKey === undefined) apiKey = await getApiKey(settings.provider);
+    if (provider.keyRequired && !apiKey) return null;
+    const reply = await provider.complete(
+      { system: request.system || '', messages: request.messages || [] },
+      { ...settings, apiKey }
+    );
+    return typeof reply === 'string' && reply.trim() ? reply.trim() : null;
+  }
+
+  /**
+   * Stream a reply from the chosen AI provider, calling onToken with each
+   * piece of text. Providers without streaming deliver the whole reply as a
+   * single token and never call tools. Resolves to { text, toolCalls };
+   * aborting `signal` rejects with an AbortError.
+   */
+  async function aiStream(request, { apiKey, signal, onToken }) {
+    const settings = getAiSettings();
+    const provider = aiProviders[settings.provider];
+    const fullRequest = {
+      system: request.system || '',
+      messages: request.messages || [],
+      tools: request.tools || []
+    };
+    const fullSettings = { ...settings, apiKey };
+    if (typeof provider.stream === 'function') {
+      return provider.stream(fullRequest, fullSettings, onToken, signal);
+    }
+    const reply = (await provider.complete(fullRequest, fullSettings)) || '';
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+    if (reply) onToken(reply);
+    return { text: reply, toolCalls: [] };
+  }
+
+  function getCustomPrompts() {
     try {
-      const apiKey = await getApiKey();
-      if (apiKey) {
-        const modelName = 'gemini-2.5-flash';
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-        const requestBody = {
-          contents: [
-            {
-              role: 'user',
-              parts: [{ text: 'Please provide a unique, encouraging journaling prompt in one concise sentence.' }]
-            }
-          ]
-        };
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Goog-Api-Key': apiKey
-          },
-          body: JSON.stringify(requestBody)
-        });
-        if (!response.ok) throw new Error(`API error: ${response.status}`);
-        const data = await response.json();
-        const candidate = data?.candidates?.[0];
-        if (
-          candidate &&
-          candidate.content &&
-          candidate.content.parts &&
-          candidate.content.parts[0] &&
-          candidate.content.parts[0].text
-        ) {
-          return candidate.content.parts[0].text.trim();
-        }
-      }
+      const saved = JSON.parse(localStorage.getItem('m2mCustomPrompts') || '[]');
+      return Array.isArray(saved) ? saved.filter(p => p && typeof p.text === 'string' && typeof p.category === 'string') : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveCustomPrompts(list) {
+    localStorage.setItem('m2mCustomPrompts', JSON.stringify(list));
+  }
+
+  // Built-in and custom prompts together, as { category: [text] }.
+  function getPromptLibrary() {
+    const library = {};
+    Object.entries(promptLibrary).forEach(([category, prompts]) => { library[category] = prompts.slice(); });
+    getCustomPrompts().forEach(({ category, text }) => {
+      (library[category] || (library[category] = [])).push(text);
+    });
+    return library;
+  }
+
+  function formatPromptCategory(category) {
+    return category.charAt(0).toUpperCase() + category.slice(1);
+  }
+
+  /**
+   * Categories that suit a set of moods. Custom moods use their valence;
+   * with no moods at all every category is fair game.
+   */
+  function getPromptCategoriesForMoods(moods) {
+    if (!moods.length) return Object.keys(getPromptLibrary());
+    const categories = new Set();
+    moods.forEach(({ name }) => {
+      const valence = getMoodValence(name);
+      const fallback = valence > 0 ? ['gratitude', 'goals'] : valence < 0 ? ['stress', 'reflection'] : ['reflection'];
+      (moodPromptCategories[name] || fallback).forEach(c => categories.add(c));
+    });
+    return Array.from(categories);
+  }
+
+  // The moods a prompt should speak to: those ticked in the form, else the latest entries'.
+  function getPromptMoods() {
+    const selected = getFormMoods();
+    return selected.length ? selected : getRecentMoodsForAffirmation(3);
+  }
+
+  // A few frequent words from the latest entries, to give the AI a sense of recent themes.
+  function getRecentEntryTopics(limit = 5) {
+    const freq = {};
+    entries.slice().sort((a, b) => b.timestamp - a.timestamp).slice(0, 5).forEach(entry => {
+      (entry.text.toLowerCase().match(/\b[a-z]{4,}\b/g) || []).forEach(word => {
+        if (!RETRIEVAL_STOPWORDS.has(word)) freq[word] = (freq[word] || 0) + 1;
+      });
+    });
+    return Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([word]) => word);
+  }
+
+  /**
+   * Pick a local prompt from `category` (or from the categories that suit
+   * the moods), skipping prompts answered recently when possible.
+   */
+  function pickLocalPrompt(category, moods = []) {
+    const library = getPromptLibrary();
+    const categories = category && library[category] ? [category] : getPromptCategoriesForMoods(moods).filter(c => library[c]);
+    const cutoff = Date.now() - PROMPT_REPEAT_DAYS * DAY_MS;
+    const answered = new Set(entries.filter(e => e.prompt && e.timestamp >= cutoff).map(e => e.prompt.text));
+    const pool = categories.flatMap(c => library[c].map(text => ({ text, category: c })));
+    const fresh = pool.filter(p => !answered.has(p.text) && p.text !== activePrompt?.text);
+    const choices = fresh.length ? fresh : pool;
+    return choices[Math.floor(Math.random() * choices.length)];
+  }
+
+  /**
+   * Generate a journaling prompt as { text, category }, tailored to the
+   * given moods and the themes of recent entries. Uses the AI provider when
+   * one is set up and falls back to the local library otherwise.
+   */
+  async function generatePrompt({ category = '', moods = [] } = {}) {
+    const library = getPromptLibrary();
+    const suited = getPromptCategoriesForMoods(moods);
+    const chosen = category && library[category] ? category : suited[Math.floor(Math.random() * suited.length)];
+    try {
+      const topics = getRecentEntryTopics();
+      const prompt = await aiComplete({
+        messages: [{
+          role: 'user',
+          content: `Please provide a unique, encouraging journaling prompt in one concise sentence, in the category "${chosen}".` +
+            (moods.length ? ` The user currently feels: ${describeMoodsForPrompt(moods)}.` : '') +
+            (topics.length ? ` Their recent entries mention: ${topics.join(', ')}.` : '') +
+            ' Reply with the prompt only.'
+        }]
+      });
+      if (prompt) return { text: prompt.trim().replace(/^["“]|["”]$/g, ''), category: chosen };
     } catch (err) {
       console.error('Prompt generation failed', err);
     }
-    // Fallback: return a random local prompt
-    return localPrompts[Math.floor(Math.random() * localPrompts.length)];
+    return pickLocalPrompt(chosen, moods);
   }
 
   // Load saved entries and theme on startup
-  document.addEventListener('DOMContentLoaded', () => {
-    loadMoodList();
-    loadEntries();
+  document.addEventListener('DOMContentLoaded', async () => {
+    await unlockJournal();
+    await loadMoodList();
+    await initStorage();
+    await loadEntries();
+    await loadTrash();
+    await loadChatThreads();
+    await resumePassphraseChange();
+    await loadDaySummaries();
+    await loadReports();
+    updateTrashButton();
     renderMoodOptions();
     // After rendering moods, attach selection listeners
     attachMoodSelectionEvents();
+    const openedWithSearch = applySearchStateFromHash();
     renderEntries();
     initChart();
+    initTrendChart();
     updateChart();
     loadTheme();
     loadColorTheme();
@@ -291,6 +803,11 @@
     updateTrending();
     updateWordCloud();
     initCalendar();
+    renderReports();
+    renderChatThreads();
+    if (openedWithSearch) {
+      document.getElementById('timeline')?.scrollIntoView();
+    }
 
     // Smooth scrolling for anchor links
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
@@ -327,93 +844,1524 @@
     }
   });
 
-  function loadEntries() {
-    try {
-      const saved = localStorage.getItem('m2mEntries');
-      entries = saved ? JSON.parse(saved) : [];
-    } catch (err) {
-      console.error('Could not parse saved entries', err);
-      entries = [];
+  function createEntryId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
     }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
   }
 
-  function saveEntries() {
-    localStorage.setItem('m2mEntries', JSON.stringify(entries));
+  /**
+   * Give every entry a unique `id`. Entries saved before IDs existed, or
+   * copies that share an ID, get a fresh one. Returns true when any entry
+   * was changed so the caller can persist the result.
+   */
+  function ensureEntryIds(list) {
+    const seen = new Set();
+    let changed = false;
+    list.forEach(e => {
+      if (typeof e.id !== 'string' || !e.id || seen.has(e.id)) {
+        e.id = createEntryId();
+        changed = true;
+      }
+      seen.add(e.id);
+    });
+    return changed;
   }
 
-  function formatDate(ts) {
-    const date = new Date(ts);
-    return date.toLocaleString(undefined, {
-      year: 'numeric', month: 'short', day: 'numeric',
-      hour: '2-digit', minute: '2-digit'
+  /*
+    Storage layer. Entries and trashed entries are kept as one record per
+    entry in IndexedDB, indexed by timestamp, and chat threads as
+    one record per thread. Browsers without
+    IndexedDB (or where opening it fails, e.g. some private modes) fall
+    back to the original single localStorage key per collection. Both
+    backends expose the same async getAll/write interface.
+  */
+  const JOURNAL_DB_NAME = 'm2mJournal';
+  const JOURNAL_DB_VERSION = 3;
+
+  // localStorage keys used by the fallback backend and by older versions
+  // of the app, which the IndexedDB backend migrates on first run.
+  const legacyStorageKeys = { entries: 'm2mEntries', trash: 'm2mTrash', chats: 'm2mChats' };
+
+  // Warn once the journal uses this share of the available storage.
+  const STORAGE_WARNING_RATIO = 0.8;
+  // Rough localStorage quota in most browsers, in bytes.
+  const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+  let storageBackend = null;
+  let storageWriteQueue = Promise.resolve();
+  let storageWarningShown = false;
+  // JSON of each record as last written, per store, so saves only touch
+  // records that actually changed.
+  const persistedRecords = { entries: new Map(), trash: new Map(), chats: new Map() };
+  // Stores holding records that couldn't be loaded or decrypted. Nothing is
+  // written to them, so a save can't overwrite what we failed to read.
+  const unreadableStores = new Set();
+  const storeLabels = { entries: 'journal entries', trash: 'trashed entries', chats: 'chat conversations' };
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
   }
 
-  function renderEntries() {
-    entriesContainer.innerHTML = '';
-    const searchTerm = ''; // search disabled
-    const sorted = entries.slice().sort((a, b) => b.timestamp - a.timestamp);
-    sorted.forEach((entry) => {
-      if (filterMood && entry.mood !== filterMood) return;
-      if (filterDate && new Date(entry.timestamp).toDateString() !== new Date(filterDate).toDateString()) return;
-      const card = document.createElement('div');
-      card.className = 'entry-card';
-      card.innerHTML = `
-        <div class="mood-tag">${escapeHtml(entry.mood)}</div>
-        <div class="date">${formatDate(entry.timestamp)}</div>
-        <div class="text">${escapeHtml(entry.text)}</div>
-        <button class="delete-btn" aria-label="Delete entry">Delete</button>
-      `;
-      const deleteBtn = card.querySelector('.delete-btn');
-      deleteBtn.addEventListener('click', () => {
-        const idx = entries.findIndex(e => e.timestamp === entry.timestamp);
-        if (idx >= 0) {
-          entries.splice(idx, 1);
-          saveEntries();
-          renderEntries();
-          updateChart();
-          updateTrending();
-          updateWordCloud();
-          updateCalendar();
+  function openJournalDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        ['entries', 'trash'].forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+            return;
+          }
+          // Version 3 drops the old `mood` index: entries keep their moods
+          // in a `moods` list of objects, which it never covered.
+          const store = request.transaction.objectStore(name);
+          if (store.indexNames.contains('mood')) store.deleteIndex('mood');
+        });
+        // Added in version 2.
+        if (!db.objectStoreNames.contains('chats')) {
+          db.createObjectStore('chats', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
         }
-      });
-      entriesContainer.appendChild(card);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Journal database is blocked by another tab.'));
     });
-    const filterTagEl = document.getElementById('filterTag');
-    if (filterTagEl) {
-      let text = '';
-      if (filterMood) text += `Mood: ${filterMood}`;
-      if (filterDate) {
-        const dateLabel = new Date(filterDate).toLocaleDateString(undefined, { year:'numeric', month:'short', day:'numeric' });
-        if (text) text += ' | ';
-        text += dateLabel;
-      }
-      if (text) {
-        filterTagEl.style.display = 'inline-block';
-        filterTagEl.textContent = text;
-      } else {
-        filterTagEl.style.display = 'none';
+  }
+
+  function createIndexedDbBackend(db) {
+    return {
+      name: 'indexeddb',
+      getAll(storeName) {
+        return idbRequest(db.transaction(storeName).objectStore(storeName).getAll());
+      },
+      write(storeName, puts, deleteIds) {
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, 'readwrite');
+          const store = tx.objectStore(storeName);
+          puts.forEach(record => store.put(record));
+          deleteIds.forEach(id => store.delete(id));
+          tx.oncomplete = () => resolve();
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
       }
-    }
+    };
   }
 
-  function initChart() {
-    const ctx = moodChartCanvas.getContext('2d');
-    const labels = moodList.map(m => m.name);
-    const colors = moodList.map(m => m.color);
-    moodChart = new Chart(ctx, {
-      type: 'bar',
-      data: {
-        labels: labels,
-        datasets: [{
-          label: 'Mood count',
-          data: new Array(labels.length).fill(0),
-          backgroundColor: colors,
-          borderRadius: 4
-        }]
+  function createLocalStorageBackend() {
+    return {
+      name: 'localStorage',
+      // Rewrites the whole collection on every save.
+      writesAll: true,
+      async getAll(storeName) {
+        const saved = localStorage.getItem(legacyStorageKeys[storeName]);
+        return saved ? JSON.parse(saved) : [];
       },
-      options: {
-        plugins: {
+      async write(storeName, puts, deleteIds, allRecords) {
+        localStorage.setItem(legacyStorageKeys[storeName], JSON.stringify(allRecords));
+      }
+    };
+  }
+
+  /**
+   * Copy journal data left in localStorage by older versions into
+   * IndexedDB, then remove the old keys to free their quota.
+   */
+  async function migrateLegacyStorage(backend) {
+    for (const [storeName, key] of Object.entries(legacyStorageKeys)) {
+      const saved = localStorage.getItem(key);
+      if (!saved) continue;
+      let records;
+      try {
+        records = JSON.parse(saved);
+      } catch (err) {
+        console.error(`Could not parse ${key} for migration`, err);
+        continue;
+      }
+      if (!Array.isArray(records)) continue;
+      if (storeName !== 'chats') migrateEntryList(records);
+      await backend.write(storeName, records, []);
+      localStorage.removeItem(key);
+    }
+  }
+
+  async function initStorage() {
+    if (window.indexedDB) {
+      try {
+        const backend = createIndexedDbBackend(await openJournalDb());
+        await migrateLegacyStorage(backend);
+        storageBackend = backend;
+        return;
+      } catch (err) {
+        console.warn('IndexedDB unavailable, falling back to localStorage', err);
+      }
+    }
+    storageBackend = createLocalStorageBackend();
+  }
+
+  /**
+   * Load and decrypt a store. Records that fail to decrypt are skipped and
+   * left as they are in storage; the store then stops saving and the user
+   * is told, rather than the collection being treated as empty.
+   */
+  async function loadRecords(storeName) {
+    const snapshot = persistedRecords[storeName];
+    snapshot.clear();
+    let stored;
+    try {
+      stored = await storageBackend.getAll(storeName);
+      if (!Array.isArray(stored)) throw new Error(`${storeName} is not a list`);
+    } catch (err) {
+      console.error(`Could not load ${storeName}`, err);
+      markStoreUnreadable(storeName, `Your ${storeLabels[storeName]} could not be loaded.`);
+      return [];
+    }
+    const results = await Promise.allSettled(stored.map(decodeRecord));
+    const records = [];
+    let failed = 0;
+    results.forEach(result => {
+      if (result.status === 'fulfilled' && result.value) {
+        records.push(result.value);
+      } else {
+        failed++;
+        if (result.reason) console.error(`Could not decrypt a record in ${storeName}`, result.reason);
+      }
+    });
+    if (failed > 0) {
+      markStoreUnreadable(storeName, `${failed} of your ${storeLabels[storeName]} could not be decrypted and were left untouched.`);
+    }
+    records.forEach(r => snapshot.set(r.id, JSON.stringify(r)));
+    return records;
+  }
+
+  function markStoreUnreadable(storeName, message) {
+    unreadableStores.add(storeName);
+    showToast(`${message} Changes to your ${storeLabels[storeName]} won't be saved until the journal loads fully; reload to try again.`);
+  }
+
+  /**
+   * Persist a collection by diffing it against what was last written:
+   * changed records are put and missing ones deleted. Writes are queued so
+   * they apply in order without blocking the caller. Resolves to whether
+   * the changes were saved; failures are reported to the user here, so
+   * most callers can ignore the result.
+   */
+  function persistRecords(storeName, list) {
+    if (!storageBackend) return Promise.resolve(true);
+    if (unreadableStores.has(storeName)) return Promise.resolve(false);
+    const snapshot = persistedRecords[storeName];
+    // Snapshot values replaced below, to put back if the write fails.
+    const previous = new Map();
+    const puts = [];
+    const seen = new Set();
+    list.forEach(record => {
+      seen.add(record.id);
+      const json = JSON.stringify(record);
+      if (snapshot.get(record.id) !== json) {
+        previous.set(record.id, snapshot.get(record.id));
+        puts.push(JSON.parse(json));
+        snapshot.set(record.id, json);
+      }
+    });
+    const deleteIds = [];
+    snapshot.forEach((json, id) => {
+      if (!seen.has(id)) deleteIds.push(id);
+    });
+    deleteIds.forEach(id => {
+      previous.set(id, snapshot.get(id));
+      snapshot.delete(id);
+    });
+    if (puts.length === 0 && deleteIds.length === 0) return Promise.resolve(true);
+    const allRecords = list.slice();
+    const backend = storageBackend;
+    const written = storageWriteQueue
+      .then(async () => {
+        const encodedPuts = await Promise.all(puts.map(encodeRecord));
+        const encodedAll = backend.writesAll ? await Promise.all(allRecords.map(encodeRecord)) : allRecords;
+        await backend.write(storeName, encodedPuts, deleteIds, encodedAll);
+        return true;
+      })
+      .catch(err => {
+        console.error(`Could not save ${storeName}`, err);
+        // Nothing was written, so the next save tries these records again.
+        previous.forEach((json, id) => {
+          if (json === undefined) {
+            snapshot.delete(id);
+          } else {
+            snapshot.set(id, json);
+          }
+        });
+        if (err && err.name === 'QuotaExceededError') {
+          showToast('Storage is full: your latest changes could not be saved. Export a backup and free some space.');
+        } else {
+          showToast('Your latest changes could not be saved.');
+        }
+        return false;
+      });
+    storageWriteQueue = written
+      .then(saved => saved && checkStorageQuota())
+      .catch(err => console.error('Could not check storage use', err));
+    return written;
+  }
+
+  /**
+   * Warn the user (once per session) when the journal is close to the
+   * browser's storage quota.
+   */
+  async function checkStorageQuota() {
+    if (storageWarningShown) return;
+    let usage = 0;
+    let quota = 0;
+    if (storageBackend.name === 'indexeddb' && navigator.storage && navigator.storage.estimate) {
+      const estimate = await navigator.storage.estimate();
+      usage = estimate.usage || 0;
+      quota = estimate.quota || 0;
+    } else {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+      }
+      quota = LOCAL_STORAGE_QUOTA;
+    }
+    if (quota > 0 && usage / quota >= STORAGE_WARNING_RATIO) {
+      storageWarningShown = true;
+      const percent = Math.round(usage / quota * 100);
+      showToast(`Your journal is using ${percent}% of this browser's storage. Export a backup to keep it safe.`);
+    }
+  }
+
+  /*
+    Optional passphrase lock. When enabled, a key is derived from the
+    passphrase with PBKDF2 and every entry, trashed entry, chat thread, the
+    mood list and the AI provider keys are stored encrypted with AES-GCM.
+    Encrypted records keep only their `id` in the clear, so the timestamp
+    index covers unlocked journals only. The key lives in memory while the journal is
+    unlocked and is never stored.
+  */
+  const LOCK_CONFIG_KEY = 'm2mLock';
+  const PBKDF2_ITERATIONS = 310000;
+  const LOCK_VERIFIER = 'm2m-lock-check';
+  const MIN_PASSPHRASE_LENGTH = 8;
+  const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+  // localStorage values (not journal records) encrypted by the lock.
+  const secureStorageKeys = ['m2mMoods', 'm2mGeminiKey', 'm2mOpenAiKey', 'm2mSupportContacts', 'm2mDaySummaries', 'm2mReports'];
+
+  let journalKey = null;
+  // While a passphrase change is being applied, records may be encrypted
+  // under either passphrase; this holds the key that isn't `journalKey`.
+  let otherJournalKey = null;
+  let autoLockTimer = null;
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+  }
+
+  function base64ToBytes(b64) {
+    return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    return importJournalKey(await deriveKeyBytes(passphrase, salt, iterations));
+  }
+
+  // The raw 256-bit key for a passphrase, so a new key can be stored
+  // wrapped under the old one while a passphrase change is applied.
+  async function deriveKeyBytes(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256
+    );
+    return new Uint8Array(bits);
+  }
+
+  function importJournalKey(bytes) {
+    return crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  }
+
+  async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  // Rejects when the key is wrong or the data was tampered with.
+  async function decryptJson(key, payload) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(payload.iv) }, key, base64ToBytes(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  // Decrypt journal data with the current key, or the other key while a
+  // passphrase change is part-way through.
+  async function decryptJournalJson(payload) {
+    try {
+      return await decryptJson(journalKey, payload);
+    } catch (err) {
+      if (!otherJournalKey) throw err;
+      return decryptJson(otherJournalKey, payload);
+    }
+  }
+
+  function getLockConfig() {
+    try {
+      const saved = localStorage.getItem(LOCK_CONFIG_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (err) {
+      console.error('Could not parse lock settings', err);
+      return null;
+    }
+  }
+
+  /**
+   * Derive the key for a passphrase and check it against the stored
+   * verifier. Returns the key, or null when the passphrase is wrong.
+   */
+  async function unlockWithPassphrase(passphrase, config) {
+    const key = await deriveKey(passphrase, base64ToBytes(config.salt), config.iterations);
+    try {
+      const check = await decryptJson(key, config.verifier);
+      return check === LOCK_VERIFIER ? key : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function encodeRecord(record) {
+    if (!journalKey) return record;
+    return { id: record.id, enc: await encryptJson(journalKey, record) };
+  }
+
+  // Plain records pass through, so a journal mid-way through being
+  // encrypted or decrypted still loads.
+  async function decodeRecord(record) {
+    if (!record || !record.enc) return record;
+    if (!journalKey) throw new Error('Journal is locked');
+    return decryptJournalJson(record.enc);
+  }
+
+  async function readSecureItem(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      // Plain string values such as an unencrypted API key.
+    }
+    if (parsed && parsed.m2mEncrypted) {
+      if (!journalKey) return null;
+      return decryptJournalJson(parsed.m2mEncrypted);
+    }
+    return raw;
+  }
+
+  async function writeSecureItem(key, value) {
+    if (!journalKey) {
+      localStorage.setItem(key, value);
+      return;
+    }
+    localStorage.setItem(key, JSON.stringify({ m2mEncrypted: await encryptJson(journalKey, value) }));
+  }
+
+  // Secure writes share the record write queue so they apply in order.
+  function queueSecureItemWrite(key, value) {
+    storageWriteQueue = storageWriteQueue
+      .then(() => writeSecureItem(key, value))
+      .catch(err => console.error(`Could not save ${key}`, err));
+  }
+
+  /**
+   * Re-write all stored journal data under a new key (or in the clear when
+   * `newKey` is null). Values are read with the current key first.
+   */
+  async function rekeyJournal(newKey) {
+    // Records we couldn't read would be left under the old key for good.
+    if (unreadableStores.size > 0) throw new Error('Part of the journal could not be read');
+    await storageWriteQueue;
+    const values = {};
+    for (const key of secureStorageKeys) {
+      values[key] = await readSecureItem(key);
+    }
+    journalKey = newKey;
+    for (const key of secureStorageKeys) {
+      if (values[key] !== null) await writeSecureItem(key, values[key]);
+    }
+    persistedRecords.entries.clear();
+    persistedRecords.trash.clear();
+    persistedRecords.chats.clear();
+    saveEntries();
+    saveTrash();
+    saveChatThreads();
+    await storageWriteQueue;
+  }
+
+  async function createLockConfig(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keyBytes = await deriveKeyBytes(passphrase, salt, PBKDF2_ITERATIONS);
+    const key = await importJournalKey(keyBytes);
+    const config = {
+      version: 1,
+      salt: bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encryptJson(key, LOCK_VERIFIER)
+    };
+    return { key, keyBytes, config };
+  }
+
+  async function enableJournalLock(passphrase) {
+    const { key, config } = await createLockConfig(passphrase);
+    // Save the lock first: plain data still loads under a lock, but
+    // encrypted data without a lock could never be read again.
+    localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify(config));
+    await rekeyJournal(key);
+    scheduleAutoLock();
+  }
+
+  /**
+   * Re-encrypt the journal under a new passphrase. The old passphrase stays
+   * in charge until every value has been rewritten: the lock config first
+   * gains a `pending` copy of the new one, with the new key encrypted under
+   * the old key, and is only replaced once the rekey is done. If the page
+   * closes half-way, the next unlock with the old passphrase can read both
+   * halves and finishes the change.
+   */
+  async function changeJournalPassphrase(passphrase) {
+    const { key, keyBytes, config } = await createLockConfig(passphrase);
+    const pending = { config, key: await encryptJson(journalKey, bytesToBase64(keyBytes)) };
+    localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify({ ...getLockConfig(), pending }));
+    await applyPassphraseChange(key, config);
+  }
+
+  async function applyPassphraseChange(key, config) {
+    // Values already rewritten under the new key are read with it.
+    otherJournalKey = key;
+    await rekeyJournal(key);
+    otherJournalKey = null;
+    localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify(config));
+  }
+
+  /**
+   * Finish a passphrase change that was interrupted. Runs after the journal
+   * has loaded, since the rekey rewrites the records held in memory.
+   */
+  async function resumePassphraseChange() {
+    const pending = getLockConfig()?.pending;
+    if (!pending || !otherJournalKey) return;
+    try {
+      await applyPassphraseChange(otherJournalKey, pending.config);
+    } catch (err) {
+      // The old passphrase still works, so the next unlock tries again.
+      console.error('Could not finish the passphrase change', err);
+    }
+  }
+
+  async function disableJournalLock() {
+    await rekeyJournal(null);
+    localStorage.removeItem(LOCK_CONFIG_KEY);
+    clearTimeout(autoLockTimer);
+  }
+
+  function getAutoLockMinutes() {
+    const minutes = parseInt(localStorage.getItem('m2mAutoLockMinutes'), 10);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_AUTO_LOCK_MINUTES;
+  }
+
+  /**
+   * Lock by reloading once pending writes finish: this drops the key and
+   * every decrypted entry from memory, and the page starts at the lock
+   * screen again.
+   */
+  async function lockJournalNow() {
+    if (!getLockConfig()) return;
+    await storageWriteQueue;
+    window.location.reload();
+  }
+
+  // Restart the inactivity countdown. A value of 0 minutes turns it off.
+  function scheduleAutoLock() {
+    clearTimeout(autoLockTimer);
+    const minutes = getAutoLockMinutes();
+    if (!journalKey || minutes === 0) return;
+    autoLockTimer = setTimeout(lockJournalNow, minutes * 60 * 1000);
+  }
+
+  ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+    document.addEventListener(type, scheduleAutoLock, { passive: true });
+  });
+
+  /**
+   * Show the lock screen and resolve once the correct passphrase has been
+   * entered. Resolves straight away when no lock is set.
+   */
+  function unlockJournal() {
+    const config = getLockConfig();
+    const lockScreen = document.getElementById('lockScreen');
+    if (!config || !lockScreen) return Promise.resolve();
+    const form = document.getElementById('unlockForm');
+    const input = document.getElementById('unlockPassphrase');
+    const errorEl = document.getElementById('unlockError');
+    lockScreen.classList.add('open');
+    input.focus();
+    return new Promise(resolve => {
+      form.addEventListener('submit', async function onSubmit(evt) {
+        evt.preventDefault();
+        errorEl.textContent = '';
+        const key = await unlockWithPassphrase(input.value, config);
+        if (!key) {
+          const isNewPassphrase = config.pending && await unlockWithPassphrase(input.value, config.pending.config);
+          errorEl.textContent = isNewPassphrase
+            ? 'Your last passphrase change did not finish. Enter your previous passphrase to complete it.'
+            : 'That passphrase is not correct.';
+          input.select();
+          return;
+        }
+        if (config.pending) {
+          // Data from the interrupted change may already use the new key.
+          otherJournalKey = await importJournalKey(base64ToBytes(await decryptJson(key, config.pending.key)));
+        }
+        journalKey = key;
+        input.value = '';
+        lockScreen.classList.remove('open');
+        form.removeEventListener('submit', onSubmit);
+        scheduleAutoLock();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Ask for a passphrase in a modal. With `confirm` set, the passphrase
+   * must be typed twice and meet the minimum length. Resolves with the
+   * passphrase, or null if cancelled.
+   */
+  function askPassphrase({ title, confirm: needsConfirm = false }) {
+    const modal = document.getElementById('passphraseModal');
+    const form = document.getElementById('passphraseForm');
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirm');
+    const confirmLabel = document.querySelector('label[for="passphraseConfirm"]');
+    const errorEl = document.getElementById('passphraseError');
+    const cancelBtn = document.getElementById('cancelPassphraseBtn');
+    document.getElementById('passphraseTitle').textContent = title;
+    input.value = '';
+    confirmInput.value = '';
+    errorEl.textContent = '';
+    confirmInput.hidden = !needsConfirm;
+    if (confirmLabel) confirmLabel.hidden = !needsConfirm;
+    modal.classList.add('open');
+    input.focus();
+    return new Promise(resolve => {
+      const finish = value => {
+        form.removeEventListener('submit', onSubmit);
+        cancelBtn.removeEventListener('click', onCancel);
+        input.value = '';
+        confirmInput.value = '';
+        modal.classList.remove('open');
+        resolve(value);
+      };
+      const onSubmit = evt => {
+        evt.preventDefault();
+        if (needsConfirm) {
+          if (input.value.length < MIN_PASSPHRASE_LENGTH) {
+            errorEl.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+            return;
+          }
+          if (input.value !== confirmInput.value) {
+            errorEl.textContent = 'The passphrases do not match.';
+            return;
+          }
+        }
+        if (!input.value) return;
+        finish(input.value);
+      };
+      const onCancel = () => finish(null);
+      form.addEventListener('submit', onSubmit);
+      cancelBtn.addEventListener('click', onCancel);
+    });
+  }
+
+  // Ask for the current passphrase and check it. Returns true if correct.
+  async function confirmCurrentPassphrase() {
+    const config = getLockConfig();
+    const passphrase = await askPassphrase({ title: 'Enter your current passphrase' });
+    if (passphrase === null) return false;
+    if (!(await unlockWithPassphrase(passphrase, config))) {
+      alert('That passphrase is not correct.');
+      return false;
+    }
+    return true;
+  }
+
+  function renderLockSettings() {
+    const enabled = !!getLockConfig();
+    const statusEl = document.getElementById('lockStatus');
+    if (statusEl) {
+      statusEl.textContent = enabled
+        ? 'Your journal, moods and API key are encrypted with your passphrase.'
+        : 'Your journal is stored unencrypted in this browser.';
+    }
+    document.querySelectorAll('#lockSettingsModal [data-lock-state]').forEach(el => {
+      el.hidden = el.getAttribute('data-lock-state') !== (enabled ? 'on' : 'off');
+    });
+    const minutesInput = document.getElementById('autoLockMinutes');
+    if (minutesInput) minutesInput.value = getAutoLockMinutes();
+  }
+
+  // Re-encrypting needs every record in hand; see loadRecords.
+  function canRekeyJournal() {
+    if (unreadableStores.size === 0) return true;
+    alert('Part of your journal could not be read, so its encryption can\'t be changed right now. Reload the page and try again.');
+    return false;
+  }
+
+  const lockBtn = document.getElementById('lockBtn');
+  const lockSettingsModal = document.getElementById('lockSettingsModal');
+  if (lockBtn && lockSettingsModal) {
+    lockBtn.addEventListener('click', () => {
+      renderLockSettings();
+      lockSettingsModal.classList.add('open');
+    });
+    document.getElementById('closeLockSettingsBtn')?.addEventListener('click', () => {
+      lockSettingsModal.classList.remove('open');
+    });
+    document.getElementById('enableLockBtn')?.addEventListener('click', async () => {
+      if (!canRekeyJournal()) return;
+      const passphrase = await askPassphrase({ title: 'Choose a passphrase', confirm: true });
+      if (passphrase === null) return;
+      await enableJournalLock(passphrase);
+      renderLockSettings();
+      showToast('Journal lock enabled. There is no way to recover a forgotten passphrase.');
+    });
+    document.getElementById('lockNowBtn')?.addEventListener('click', lockJournalNow);
+    document.getElementById('changePassphraseBtn')?.addEventListener('click', async () => {
+      if (!canRekeyJournal() || !(await confirmCurrentPassphrase())) return;
+      const passphrase = await askPassphrase({ title: 'Choose a new passphrase', confirm: true });
+      if (passphrase === null) return;
+      await changeJournalPassphrase(passphrase);
+      showToast('Passphrase changed.');
+    });
+    document.getElementById('removeLockBtn')?.addEventListener('click', async () => {
+      if (!canRekeyJournal() || !(await confirmCurrentPassphrase())) return;
+      await disableJournalLock();
+      renderLockSettings();
+      showToast('Journal lock removed.');
+    });
+    document.getElementById('autoLockMinutes')?.addEventListener('change', evt => {
+      const minutes = parseInt(evt.target.value, 10);
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        evt.target.value = getAutoLockMinutes();
+        return;
+      }
+      localStorage.setItem('m2mAutoLockMinutes', String(minutes));
+      scheduleAutoLock();
+    });
+  }
+
+  const aiProviderNotes = {
+    gemini: 'Uses Google’s Gemini API with your API key.',
+    openai: 'Any OpenAI-compatible /chat/completions endpoint. For Ollama use http://localhost:11434/v1, for a llama.cpp server http://localhost:8080/v1. Local servers usually need no key but must allow this page’s origin (CORS).',
+    none: 'AI is turned off. Affirmations and prompts come from the built-in lists, and nothing leaves your device.',
+    fake: 'Canned replies for automated tests.'
+  };
+
+  /**
+   * Fill the AI settings form for the given provider. Saved model and base
+   * URL values only apply to the provider they were saved for.
+   */
+  function renderAiSettings(providerName) {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('m2mAiSettings')) || {};
+    } catch (e) {
+      saved = {};
+    }
+    const name = providerName || getAiSettings().provider;
+    const provider = aiProviders[name];
+    const select = document.getElementById('aiProvider');
+    if (select) {
+      select.innerHTML = '';
+      Object.entries(aiProviders).forEach(([key, p]) => {
+        if (p.hidden && key !== name) return;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = p.label;
+        select.appendChild(option);
+      });
+      select.value = name;
+    }
+    const sameProvider = saved.provider === name;
+    const modelInput = document.getElementById('aiModel');
+    const baseUrlInput = document.getElementById('aiBaseUrl');
+    const keyInput = document.getElementById('aiApiKey');
+    if (modelInput) {
+      modelInput.value = sameProvider ? saved.model || '' : '';
+      modelInput.placeholder = provider.defaultModel || '';
+    }
+    if (baseUrlInput) {
+      baseUrlInput.value = sameProvider ? saved.baseUrl || '' : '';
+      baseUrlInput.placeholder = provider.defaultBaseUrl || '';
+    }
+    if (keyInput) keyInput.value = '';
+    const budgetInput = document.getElementById('chatTokenBudget');
+    if (budgetInput) budgetInput.value = getChatTokenBudget();
+    document.querySelectorAll('#aiSettingsModal [data-ai-online]').forEach(el => {
+      el.hidden = !!provider.offline;
+    });
+    document.querySelectorAll('#aiSettingsModal [data-ai-key]').forEach(el => {
+      el.hidden = !provider.keyStorageKey;
+    });
+    const noteEl = document.getElementById('aiProviderNote');
+    if (noteEl) noteEl.textContent = aiProviderNotes[name] || '';
+  }
+
+  const aiSettingsBtn = document.getElementById('aiSettingsBtn');
+  const aiSettingsModal = document.getElementById('aiSettingsModal');
+  if (aiSettingsBtn && aiSettingsModal) {
+    aiSettingsBtn.addEventListener('click', () => {
+      renderAiSettings();
+      aiSettingsModal.classList.add('open');
+    });
+    document.getElementById('closeAiSettingsBtn')?.addEventListener('click', () => {
+      aiSettingsModal.classList.remove('open');
+    });
+    document.getElementById('aiProvider')?.addEventListener('change', evt => {
+      renderAiSettings(evt.target.value);
+    });
+    document.getElementById('aiSettingsForm')?.addEventListener('submit', evt => {
+      evt.preventDefault();
+      const provider = document.getElementById('aiProvider').value;
+      if (!aiProviders[provider]) return;
+      const baseUrl = document.getElementById('aiBaseUrl').value.trim();
+      if (baseUrl && !/^https?:\/\//i.test(baseUrl)) {
+        alert('The base URL must start with http:// or https://.');
+        return;
+      }
+      localStorage.setItem('m2mAiSettings', JSON.stringify({
+        provider,
+        model: document.getElementById('aiModel').value.trim(),
+        baseUrl
+      }));
+      const budget = parseInt(document.getElementById('chatTokenBudget').value, 10);
+      if (Number.isFinite(budget) && budget >= MIN_CHAT_TOKEN_BUDGET) {
+        localStorage.setItem('m2mChatTokenBudget', String(budget));
+      }
+      const apiKey = document.getElementById('aiApiKey').value.trim();
+      const keyStorageKey = aiProviders[provider].keyStorageKey;
+      if (apiKey && keyStorageKey) queueSecureItemWrite(keyStorageKey, apiKey);
+      aiSettingsModal.classList.remove('open');
+      showToast(`AI provider set to ${aiProviders[provider].label}.`);
+    });
+  }
+
+  /**
+   * Bring stored entries up to the current shape: unique IDs, and a
+   * `moods` array on the entry and each of its revisions. Returns true when
+   * anything changed.
+   */
+  function migrateEntryList(list) {
+    let changed = ensureEntryIds(list);
+    list.forEach(entry => {
+      if (migrateEntryMoods(entry)) changed = true;
+      (entry.revisions || []).forEach(rev => {
+        if (migrateEntryMoods(rev)) changed = true;
+      });
+    });
+    return changed;
+  }
+
+  async function loadEntries() {
+    entries = await loadRecords('entries');
+    retrievalIndex = null;
+    if (migrateEntryList(entries)) saveEntries();
+  }
+
+  function saveEntries() {
+    retrievalIndex = null;
+    persistRecords('entries', entries);
+  }
+
+  // Deleted entries wait in the trash, each with a `deletedAt` time, until
+  // they are restored or purged after the retention period.
+  let trash = [];
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+  async function loadTrash() {
+    trash = await loadRecords('trash');
+    if (migrateEntryList(trash)) saveTrash();
+    purgeTrash();
+  }
+
+  function saveTrash() {
+    return persistRecords('trash', trash);
+  }
+
+  function getTrashRetentionDays() {
+    const days = parseInt(localStorage.getItem('m2mTrashRetentionDays'), 10);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  // Permanently drop trashed entries older than the retention period.
+  function purgeTrash() {
+    const cutoff = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const kept = trash.filter(e => e.deletedAt >= cutoff);
+    if (kept.length !== trash.length) {
+      trash = kept;
+      saveTrash();
+    }
+  }
+
+  /**
+   * Move an entry from the journal into the trash and offer an Undo toast.
+   * The trash is saved first; if that fails the entry goes back into the
+   * journal, so it is never missing from both.
+   */
+  async function deleteEntry(id) {
+    const idx = entries.findIndex(e => e.id === id);
+    if (idx < 0) return;
+    const [removed] = entries.splice(idx, 1);
+    removed.deletedAt = Date.now();
+    trash.push(removed);
+    if (!(await saveTrash())) {
+      trash = trash.filter(e => e !== removed);
+      delete removed.deletedAt;
+      entries.splice(Math.min(idx, entries.length), 0, removed);
+      refreshEntryViews();
+      showToast('The entry could not be moved to the trash, so it was kept in your journal.');
+      return;
+    }
+    saveEntries();
+    refreshEntryViews();
+    updateTrashButton();
+    showToast('Entry moved to trash.', 'Undo', () => restoreEntry(id));
+  }
+
+  function restoreEntry(id) {
+    const idx = trash.findIndex(e => e.id === id);
+    if (idx < 0) return;
+    const [restored] = trash.splice(idx, 1);
+    delete restored.deletedAt;
+    if (entries.some(e => e.id === restored.id)) restored.id = createEntryId();
+    entries.push(restored);
+    saveEntries();
+    saveTrash();
+    refreshEntryViews();
+    updateTrashButton();
+    renderTrash();
+  }
+
+  function updateTrashButton() {
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) trashBtn.textContent = trash.length ? `Trash (${trash.length})` : 'Trash';
+  }
+
+  function renderTrash() {
+    const listEl = document.getElementById('trashList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    const retentionInput = document.getElementById('trashRetentionDays');
+    if (retentionInput) retentionInput.value = getTrashRetentionDays();
+    if (trash.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'trash-empty';
+      empty.textContent = 'Trash is empty.';
+      listEl.appendChild(empty);
+      return;
+    }
+    trash.slice().sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'trash-row';
+      const preview = entry.text.length > 80 ? entry.text.slice(0, 80) + '…' : entry.text;
+      li.innerHTML = `
+        <div class="trash-meta">${formatDate(entry.timestamp)} · <strong>${escapeHtml(formatEntryMoods(entry.moods))}</strong></div>
+        <div class="trash-text">${escapeHtml(preview)}</div>
+        <div class="trash-actions">
+          <button type="button" class="restore-btn">Restore</button>
+          <button type="button" class="purge-btn">Delete forever</button>
+        </div>
+      `;
+      li.querySelector('.restore-btn').addEventListener('click', () => restoreEntry(entry.id));
+      li.querySelector('.purge-btn').addEventListener('click', () => {
+        if (!confirm('Permanently delete this entry?')) return;
+        trash = trash.filter(e => e.id !== entry.id);
+        saveTrash();
+        updateTrashButton();
+        renderTrash();
+      });
+      listEl.appendChild(li);
+    });
+  }
+
+  let toastTimer = null;
+
+  /**
+   * Show a short message at the bottom of the screen, optionally with an
+   * action button (such as Undo). The toast hides itself after a few
+   * seconds or once the action is used.
+   */
+  function showToast(message, actionLabel, onAction) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+    toast.innerHTML = '';
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    if (actionLabel && onAction) {
+      const actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = actionLabel;
+      actionBtn.addEventListener('click', () => {
+        toast.classList.remove('show');
+        onAction();
+      });
+      toast.appendChild(actionBtn);
+    }
+    toast.classList.add('show');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('show'), 6000);
+  }
+
+  function formatDate(ts) {
+    const date = new Date(ts);
+    return date.toLocaleString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+  }
+
+  // Search panel state. Together with `filterMood` (chart) and `filterDate`
+  // (calendar) it decides which entries the timeline shows.
+  let searchQuery = '';
+  let searchMoods = new Set();
+  let searchFrom = '';
+  let searchTo = '';
+  // '' for no prompt filter, '*' for entries that answered any prompt, or
+  // the text of one prompt.
+  let searchPrompt = '';
+
+  // Cards rendered per "Show more" step, so long journals stay responsive.
+  const ENTRY_PAGE_SIZE = 100;
+  let visibleEntryLimit = ENTRY_PAGE_SIZE;
+
+  // Lower-cased entry text, cached per entry and refreshed when edited.
+  const searchTextCache = new WeakMap();
+
+  function getSearchText(entry) {
+    const cached = searchTextCache.get(entry);
+    if (cached && cached.text === entry.text) return cached.lower;
+    const lower = entry.text.toLowerCase();
+    searchTextCache.set(entry, { text: entry.text, lower });
+    return lower;
+  }
+
+  /**
+   * Split the search box into terms. Quoted phrases stay together; every
+   * term must appear in an entry for it to match.
+   */
+  function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+      const term = (match[1] || match[2]).trim().toLowerCase();
+      if (term) terms.push(term);
+    }
+    return terms;
+  }
+
+  function dayStart(dateInput) {
+    const [y, m, d] = dateInput.split('-').map(Number);
+    return new Date(y, m - 1, d).getTime();
+  }
+
+  function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function toDateTimeInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${toDateInputValue(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Build a predicate for the active chart, calendar and search filters.
+   * Everything that doesn't depend on the entry is worked out once here so
+   * filtering thousands of entries stays cheap.
+   */
+  function getActiveFilterPredicate() {
+    const terms = parseSearchTerms(searchQuery);
+    const moods = searchMoods.size > 0 ? searchMoods : null;
+    const dayKey = filterDate ? new Date(filterDate).toDateString() : null;
+    const from = searchFrom ? dayStart(searchFrom) : -Infinity;
+    const to = searchTo ? dayStart(searchTo) + 24 * 60 * 60 * 1000 : Infinity;
+    return entry => {
+      if (filterMood && !entryHasMood(entry, filterMood)) return false;
+      if (moods && !entry.moods.some(m => moods.has(m.name))) return false;
+      if (entry.timestamp < from || entry.timestamp >= to) return false;
+      if (dayKey && new Date(entry.timestamp).toDateString() !== dayKey) return false;
+      if (searchPrompt === '*' && !entry.prompt) return false;
+      if (searchPrompt && searchPrompt !== '*' && entry.prompt?.text !== searchPrompt) return false;
+      if (terms.length > 0) {
+        const text = getSearchText(entry);
+        if (!terms.every(term => text.includes(term))) return false;
+      }
+      return true;
+    };
+  }
+
+  function hasActiveFilters() {
+    return !!(filterMood || filterDate || searchQuery.trim() || searchMoods.size || searchFrom || searchTo || searchPrompt);
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Escape entry text for display and wrap search matches in <mark>.
+   */
+  function highlightMatches(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+    const pattern = new RegExp(terms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|'), 'gi');
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+  }
+
+  function renderEntries() {
+    entriesContainer.innerHTML = '';
+    const terms = parseSearchTerms(searchQuery);
+    const matches = getActiveFilterPredicate();
+    const filtered = entries.filter(matches).sort((a, b) => b.timestamp - a.timestamp);
+    filtered.slice(0, visibleEntryLimit).forEach((entry) => {
+      const card = document.createElement('div');
+      card.className = 'entry-card';
+      const revisionCount = entry.revisions ? entry.revisions.length : 0;
+      card.innerHTML = `
+        <div class="mood-tag">${escapeHtml(formatEntryMoods(entry.moods))}</div>
+        <div class="date">${formatDate(entry.timestamp)}${entry.editedAt ? ' <span class="edited-tag">(edited)</span>' : ''}</div>
+        ${entry.prompt ? `<button type="button" class="entry-prompt" title="Show entries that answered this prompt">Prompt: ${escapeHtml(entry.prompt.text)}</button>` : ''}
+        <div class="text">${highlightMatches(entry.text, terms)}</div>
+        <div class="entry-history"></div>
+        <div class="entry-actions">
+          <button class="edit-btn" aria-label="Edit entry">Edit</button>
+          ${revisionCount ? `<button class="history-btn" aria-label="Show earlier versions">History (${revisionCount})</button>` : ''}
+          <button class="delete-btn" aria-label="Delete entry">Delete</button>
+        </div>
+      `;
+      card.querySelector('.edit-btn').addEventListener('click', () => openEntryEditor(card, entry));
+      card.querySelector('.history-btn')?.addEventListener('click', () => toggleEntryHistory(card, entry));
+      card.querySelector('.entry-prompt')?.addEventListener('click', () => {
+        searchPrompt = searchPrompt === entry.prompt.text ? '' : entry.prompt.text;
+        syncSearchControls();
+        applyFilters();
+      });
+      const deleteBtn = card.querySelector('.delete-btn');
+      deleteBtn.addEventListener('click', () => deleteEntry(entry.id));
+      entriesContainer.appendChild(card);
+    });
+    if (filtered.length > visibleEntryLimit) {
+      const moreBtn = document.createElement('button');
+      moreBtn.type = 'button';
+      moreBtn.className = 'show-more-btn';
+      moreBtn.textContent = `Show more (${filtered.length - visibleEntryLimit} left)`;
+      moreBtn.addEventListener('click', () => {
+        visibleEntryLimit += ENTRY_PAGE_SIZE;
+        renderEntries();
+      });
+      entriesContainer.appendChild(moreBtn);
+    }
+    const summaryEl = document.getElementById('searchResultsSummary');
+    if (summaryEl) {
+      summaryEl.textContent = hasActiveFilters()
+        ? `${filtered.length} of ${entries.length} memories match.`
+        : '';
+    }
+    renderActiveFilters();
+    renderSearchPromptOptions();
+    updateSearchHash();
+  }
+
+  /**
+   * Called whenever a filter changes: start again from the first page of
+   * results and re-render.
+   */
+  function applyFilters() {
+    visibleEntryLimit = ENTRY_PAGE_SIZE;
+    renderEntries();
+    renderDaySummaryPanel();
+  }
+
+  /**
+   * Show each active filter as a removable chip.
+   */
+  function renderActiveFilters() {
+    const container = document.getElementById('activeFilters');
+    if (!container) return;
+    container.innerHTML = '';
+    const chips = [];
+    if (searchQuery.trim()) {
+      chips.push({ label: `Text: “${searchQuery.trim()}”`, clear: () => { searchQuery = ''; } });
+    }
+    searchMoods.forEach(mood => {
+      chips.push({ label: `Mood: ${mood}`, clear: () => { searchMoods.delete(mood); } });
+    });
+    if (filterMood) {
+      chips.push({ label: `Chart: ${filterMood}`, clear: () => { filterMood = null; updateChart(); } });
+    }
+    if (filterDate) {
+      const dateLabel = new Date(filterDate).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+      chips.push({ label: `Day: ${dateLabel}`, clear: () => { filterDate = null; } });
+    }
+    if (searchFrom) chips.push({ label: `From: ${searchFrom}`, clear: () => { searchFrom = ''; } });
+    if (searchTo) chips.push({ label: `To: ${searchTo}`, clear: () => { searchTo = ''; } });
+    if (searchPrompt) {
+      chips.push({ label: searchPrompt === '*' ? 'Answered a prompt' : `Prompt: ${searchPrompt}`, clear: () => { searchPrompt = ''; } });
+    }
+    chips.forEach(({ label, clear }) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-tag';
+      chip.textContent = label;
+      chip.setAttribute('aria-label', `Remove filter ${label}`);
+      chip.addEventListener('click', () => {
+        clear();
+        syncSearchControls();
+        applyFilters();
+      });
+      container.appendChild(chip);
+    });
+    if (chips.length > 1) {
+      const clearAll = document.createElement('button');
+      clearAll.type = 'button';
+      clearAll.className = 'clear-filters-btn';
+      clearAll.textContent = 'Clear all';
+      clearAll.addEventListener('click', () => {
+        clearAllFilters();
+        applyFilters();
+      });
+      container.appendChild(clearAll);
+    }
+  }
+
+  function clearAllFilters() {
+    const hadChartFilter = !!filterMood;
+    searchQuery = '';
+    searchMoods = new Set();
+    searchFrom = '';
+    searchTo = '';
+    searchPrompt = '';
+    filterMood = null;
+    filterDate = null;
+    syncSearchControls();
+    if (hadChartFilter) updateChart();
+  }
+
+  // Make the search panel inputs reflect the current search state.
+  function syncSearchControls() {
+    const input = document.getElementById('searchInput');
+    if (input && input.value !== searchQuery) input.value = searchQuery;
+    const fromInput = document.getElementById('searchFrom');
+    if (fromInput) fromInput.value = searchFrom;
+    const toInput = document.getElementById('searchTo');
+    if (toInput) toInput.value = searchTo;
+    renderSearchPromptOptions();
+    document.querySelectorAll('#searchMoodOptions input[type="checkbox"]').forEach(box => {
+      box.checked = searchMoods.has(box.value);
+    });
+    const moodSummary = document.getElementById('searchMoodSummary');
+    if (moodSummary) {
+      moodSummary.textContent = searchMoods.size ? `Moods (${searchMoods.size})` : 'Moods';
+    }
+  }
+
+  function renderSearchMoodOptions() {
+    const container = document.getElementById('searchMoodOptions');
+    if (!container) return;
+    container.innerHTML = '';
+    moodList.forEach(mood => {
+      const label = document.createElement('label');
+      label.className = 'search-mood-option';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = mood.name;
+      box.checked = searchMoods.has(mood.name);
+      box.addEventListener('change', () => {
+        if (box.checked) {
+          searchMoods.add(mood.name);
+        } else {
+          searchMoods.delete(mood.name);
+        }
+        syncSearchControls();
+        applyFilters();
+      });
+      const dot = document.createElement('span');
+      dot.className = 'mood-dot';
+      dot.style.background = mood.color;
+      label.append(box, dot, document.createTextNode(mood.name));
+      container.appendChild(label);
+    });
+  }
+
+  // Offer every prompt that entries answered, most recent first.
+  function renderSearchPromptOptions() {
+    const select = document.getElementById('searchPrompt');
+    if (!select) return;
+    const prompts = [];
+    entries.slice().sort((a, b) => b.timestamp - a.timestamp).forEach(e => {
+      if (e.prompt && !prompts.includes(e.prompt.text)) prompts.push(e.prompt.text);
+    });
+    if (searchPrompt && searchPrompt !== '*' && !prompts.includes(searchPrompt)) prompts.push(searchPrompt);
+    select.innerHTML = '<option value="">Any entry</option><option value="*">Answered a prompt</option>';
+    prompts.forEach(text => {
+      const option = document.createElement('option');
+      option.value = text;
+      option.textContent = text.length > 60 ? `${text.slice(0, 60)}…` : text;
+      select.appendChild(option);
+    });
+    select.value = searchPrompt;
+  }
+
+  /*
+    The filtered view is mirrored in the URL hash, e.g.
+    #timeline?q=walk&mood=Happy&mood=Calm&from=2024-01-01&to=2024-01-31,
+    so it can be bookmarked. `chart` and `day` carry the chart and calendar
+    filters, and `prompt` the prompt filter. replaceState keeps filter changes out of the back button history.
+  */
+  const SEARCH_HASH_PREFIX = '#timeline?';
+
+  function buildSearchHash() {
+    const params = new URLSearchParams();
+    if (searchQuery.trim()) params.set('q', searchQuery.trim());
+    searchMoods.forEach(mood => params.append('mood', mood));
+    if (searchFrom) params.set('from', searchFrom);
+    if (searchTo) params.set('to', searchTo);
+    if (searchPrompt) params.set('prompt', searchPrompt);
+    if (filterMood) params.set('chart', filterMood);
+    if (filterDate) params.set('day', toDateInputValue(new Date(filterDate)));
+    const query = params.toString();
+    return query ? SEARCH_HASH_PREFIX + query : '';
+  }
+
+  function updateSearchHash() {
+    const hash = buildSearchHash();
+    const current = window.location.hash;
+    if (hash === current) return;
+    // Leave plain anchors such as #journal alone when no filter is active.
+    if (!hash && !current.startsWith(SEARCH_HASH_PREFIX)) return;
+    const url = window.location.pathname + window.location.search + (hash || '#timeline');
+    history.replaceState(null, '', url);
+  }
+
+  /**
+   * Read filters from a #timeline?... hash. Returns false when the hash
+   * holds no search state.
+   */
+  function applySearchStateFromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith(SEARCH_HASH_PREFIX)) return false;
+    const params = new URLSearchParams(hash.slice(SEARCH_HASH_PREFIX.length));
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    searchQuery = params.get('q') || '';
+    searchMoods = new Set(params.getAll('mood'));
+    searchFrom = isDate(params.get('from')) ? params.get('from') : '';
+    searchTo = isDate(params.get('to')) ? params.get('to') : '';
+    searchPrompt = params.get('prompt') || '';
+    filterMood = params.get('chart') || null;
+    filterDate = isDate(params.get('day')) ? new Date(dayStart(params.get('day'))) : null;
+    syncSearchControls();
+    return true;
+  }
+
+  // Re-render everything derived from `entries` after they change.
+  function refreshEntryViews() {
+    renderEntries();
+    updateChart();
+    updateTrending();
+    updateWordCloud();
+    updateCalendar();
+  }
+
+  /**
+   * Change an entry's moods and/or text in place. The version being
+   * replaced is pushed onto `entry.revisions` with the time it was written,
+   * so the original timestamp is kept and every earlier version can be
+   * restored. Returns false when nothing actually changed.
+   */
+  function reviseEntry(entry, changes) {
+    const moods = changes.moods ?? entry.moods;
+    const text = changes.text ?? entry.text;
+    if (sameMoods(moods, entry.moods) && text === entry.text) return false;
+    if (!entry.revisions) entry.revisions = [];
+    entry.revisions.push({
+      moods: entry.moods,
+      text: entry.text,
+      savedAt: entry.editedAt || entry.timestamp
+    });
+    entry.moods = moods.map(m => ({ name: m.name, intensity: m.intensity }));
+    entry.text = text;
+    entry.editedAt = Date.now();
+    return true;
+  }
+
+  function updateEntry(entry, changes) {
+    if (!reviseEntry(entry, changes)) return false;
+    saveEntries();
+    refreshEntryViews();
+    return true;
+  }
+
+  /**
+   * Build a list of mood checkboxes, each with a 1–5 intensity slider, for
+   * editing an entry. Returns the element and a function that reads the
+   * chosen moods back as { name, intensity } objects.
+   */
+  function createMoodIntensityPicker(selectedMoods) {
+    const picker = document.createElement('div');
+    picker.className = 'mood-intensity-picker';
+    const names = moodList.filter(m => !m.hidden).map(m => m.name);
+    selectedMoods.forEach(m => {
+      if (!names.includes(m.name)) names.push(m.name);
+    });
+    names.forEach(name => {
+      const selected = selectedMoods.find(m => m.name === name);
+      const row = document.createElement('label');
+      row.className = 'mood-intensity-row';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = name;
+      box.checked = !!selected;
+      const nameEl = document.createElement('span');
+      nameEl.className = 'mood-intensity-name';
+      nameEl.textContent = name;
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = MIN_MOOD_INTENSITY;
+      range.max = MAX_MOOD_INTENSITY;
+      range.value = selected ? selected.intensity : DEFAULT_MOOD_INTENSITY;
+      range.disabled = !selected;
+      range.setAttribute('aria-label', `${name} intensity`);
+      const valueEl = document.createElement('span');
+      valueEl.className = 'mood-intensity-value';
+      valueEl.textContent = range.value;
+      box.addEventListener('change', () => { range.disabled = !box.checked; });
+      range.addEventListener('input', () => { valueEl.textContent = range.value; });
+      row.append(box, nameEl, range, valueEl);
+      picker.appendChild(row);
+    });
+    const getMoods = () => Array.from(picker.querySelectorAll('.mood-intensity-row'))
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => ({
+        name: row.querySelector('input[type="checkbox"]').value,
+        intensity: clampIntensity(row.querySelector('input[type="range"]').value)
+      }));
+    return { element: picker, getMoods };
+  }
+
+  /**
+   * Swap an entry card's text for an inline editor with a mood picker.
+   */
+  function openEntryEditor(card, entry) {
+    if (card.querySelector('.entry-editor')) return;
+    const textEl = card.querySelector('.text');
+    const editor = document.createElement('form');
+    editor.className = 'entry-editor';
+    const moodPicker = createMoodIntensityPicker(entry.moods);
+    const textarea = document.createElement('textarea');
+    textarea.rows = 4;
+    textarea.value = entry.text;
+    textarea.required = true;
+    const actions = document.createElement('div');
+    actions.className = 'entry-editor-actions';
+    actions.innerHTML = `
+      <button type="submit" class="primary-btn">Save</button>
+      <button type="button" class="secondary-btn cancel-edit-btn">Cancel</button>
+    `;
+    editor.append(moodPicker.element, textarea, actions);
+    editor.addEventListener('submit', evt => {
+      evt.preventDefault();
+      const text = textarea.value.trim();
+      const moods = moodPicker.getMoods();
+      if (!text) return;
+      if (moods.length === 0) {
+        alert('Choose at least one mood.');
+        return;
+      }
+      if (!updateEntry(entry, { moods, text })) {
+        renderEntries();
+        return;
+      }
+      if (detectCrisisLanguage(text).length > 0) showSupportPanel();
+    });
+    actions.querySelector('.cancel-edit-btn').addEventListener('click', () => renderEntries());
+    textEl.replaceWith(editor);
+    card.querySelector('.entry-actions').style.display = 'none';
+    textarea.focus();
+  }
+
+  /**
+   * Show or hide the list of earlier versions of an entry, newest first,
+   * each with a Restore button.
+   */
+  function toggleEntryHistory(card, entry) {
+    const historyEl = card.querySelector('.entry-history');
+    if (historyEl.childElementCount > 0) {
+      historyEl.innerHTML = '';
+      return;
+    }
+    const list = document.createElement('ol');
+    list.className = 'revision-list';
+    entry.revisions.map((rev, index) => ({ rev, index })).reverse().forEach(({ rev, index }) => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <div class="revision-meta">${formatDate(rev.savedAt)} · <strong>${escapeHtml(formatEntryMoods(rev.moods))}</strong></div>
+        <div class="revision-text">${escapeHtml(rev.text)}</div>
+        <button type="button" class="restore-revision-btn">Restore</button>
+      `;
+      item.querySelector('.restore-revision-btn').addEventListener('click', () => {
+        updateEntry(entry, entry.revisions[index]);
+      });
+      list.appendChild(item);
+    });
+    historyEl.appendChild(list);
+  }
+
+  function initChart() {
+    const ctx = moodChartCanvas.getContext('2d');
+    const labels = moodList.map(m => m.name);
+    const colors = moodList.map(m => m.color);
+    moodChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: labels,
+        datasets: [{
+          label: 'Mood intensity',
+          data: new Array(labels.length).fill(0),
+          backgroundColor: colors,
+          borderRadius: 4
+        }]
+      },
+      options: {
+        plugins: {
           legend: { display: false },
           tooltip: {
             callbacks: {
@@ -423,7 +2371,8 @@
                 const total = data.reduce((a, b) => a + b, 0);
                 const percent = total ? (value / total * 100).toFixed(1) : 0;
                 const moodName = context.label;
-                return `${moodName}: ${value} entries (${percent}%)`;
+                const entryCount = moodEntryCounts[moodName] || 0;
+                return `${moodName}: ${value} intensity points over ${entryCount} entries (${percent}%)`;
               }
             }
           }
@@ -443,44 +2392,346 @@
             } else {
               filterMood = selectedMood;
             }
-            renderEntries();
+            applyFilters();
+            updateChart();
           }
         }
       }
     });
   }
 
+  // Entries logged per mood, shown in the chart tooltip next to the
+  // intensity-weighted total that sets the bar height.
+  let moodEntryCounts = {};
+
+  /**
+   * Tally moods across a list of entries: total intensity (what the chart
+   * plots), number of entries and the distinct calendar days per mood.
+   */
+  function tallyMoods(list) {
+    const tally = {};
+    list.forEach(e => {
+      const day = new Date(e.timestamp).toDateString();
+      e.moods.forEach(m => {
+        const t = tally[m.name] || (tally[m.name] = { intensity: 0, entries: 0, days: new Set() });
+        t.intensity += m.intensity;
+        t.entries++;
+        t.days.add(day);
+      });
+    });
+    return tally;
+  }
+
   function updateChart() {
     const counts = {};
-    moodList.forEach(m => { counts[m.name] = 0; });
-    entries.forEach(e => {
-      if (counts[e.mood] !== undefined) counts[e.mood]++;
+    moodEntryCounts = {};
+    const tally = tallyMoods(entries);
+    // Archived moods stay on the chart while entries still use them.
+    const chartMoods = moodList.filter(m => !m.hidden || tally[m.name]);
+    chartMoods.forEach(m => {
+      counts[m.name] = tally[m.name]?.intensity || 0;
+      if (tally[m.name]) moodEntryCounts[m.name] = tally[m.name].entries;
     });
-    moodChart.data.labels = moodList.map(m => m.name);
-    moodChart.data.datasets[0].backgroundColor = moodList.map(m => {
+    moodChart.data.labels = chartMoods.map(m => m.name);
+    moodChart.data.datasets[0].backgroundColor = chartMoods.map(m => {
       if (filterMood && m.name !== filterMood) {
         return hexToRgba(m.color, 0.3);
       }
       return m.color;
     });
-    moodChart.data.datasets[0].borderColor = moodList.map(m => (filterMood === m.name ? '#000000' : hexToRgba(m.color, 0.5)));
-    moodChart.data.datasets[0].borderWidth = moodList.map(m => (filterMood === m.name ? 3 : 1));
-    moodChart.data.datasets[0].data = moodList.map(m => counts[m.name] || 0);
+    moodChart.data.datasets[0].borderColor = chartMoods.map(m => (filterMood === m.name ? '#000000' : hexToRgba(m.color, 0.5)));
+    moodChart.data.datasets[0].borderWidth = chartMoods.map(m => (filterMood === m.name ? 3 : 1));
+    moodChart.data.datasets[0].data = chartMoods.map(m => counts[m.name] || 0);
     moodChart.update();
+    updateTrendChart();
+  }
+
+  /*
+    Trend chart. Entries are grouped into day, week (starting Sunday) or
+    month buckets over a chosen range and plotted either as a valence score
+    (how positive the moods were, weighted by intensity) or as the number of
+    entries per mood. Optional rolling averages smooth the lines, and the
+    previous period of the same length can be drawn underneath.
+  */
+  let trendChart;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const TREND_RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+  const TREND_ROLLING_WINDOW = { day: 7, week: 4, month: 3 };
+  const DEFAULT_TREND_SETTINGS = { metric: 'valence', bucket: 'day', range: '30d', from: '', to: '', rolling: false, compare: false };
+
+  // How positive each built-in mood is, from -2 to 2. Custom moods can set
+  // their own in the mood manager and default to neutral.
+  const moodValenceDefaults = { Happy: 2, Excited: 2, Calm: 1, Sad: -2, Angry: -2 };
+
+  function getMoodValence(name) {
+    const mood = moodList.find(m => m.name === name);
+    if (mood && Number.isFinite(mood.valence)) return mood.valence;
+    return moodValenceDefaults[name] ?? 0;
+  }
+
+  function getTrendSettings() {
+    try {
+      return { ...DEFAULT_TREND_SETTINGS, ...JSON.parse(localStorage.getItem('m2mTrendSettings') || '{}') };
+    } catch (err) {
+      return { ...DEFAULT_TREND_SETTINGS };
+    }
+  }
+
+  function saveTrendSettings(settings) {
+    localStorage.setItem('m2mTrendSettings', JSON.stringify(settings));
+  }
+
+  // Start of the bucket that contains `date`.
+  function startOfBucket(date, unit) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (unit === 'week') d.setDate(d.getDate() - d.getDay());
+    if (unit === 'month') d.setDate(1);
+    return d;
+  }
+
+  function addBuckets(date, unit, count) {
+    const d = new Date(date);
+    if (unit === 'day') d.setDate(d.getDate() + count);
+    if (unit === 'week') d.setDate(d.getDate() + count * 7);
+    if (unit === 'month') d.setMonth(d.getMonth() + count);
+    return d;
+  }
+
+  /**
+   * The first and last day of the selected range, or null when the journal
+   * is empty and "All time" is chosen.
+   */
+  function getTrendRange(settings) {
+    const today = new Date();
+    const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (settings.range === 'custom') {
+      if (!isDateInput(settings.from) || !isDateInput(settings.to) || settings.from > settings.to) return null;
+      return { from: new Date(dayStart(settings.from)), to: new Date(dayStart(settings.to)) };
+    }
+    if (settings.range === 'all') {
+      if (!entries.length) return null;
+      const first = new Date(Math.min(...entries.map(e => e.timestamp)));
+      return { from: new Date(first.getFullYear(), first.getMonth(), first.getDate()), to: end };
+    }
+    const days = TREND_RANGE_DAYS[settings.range] || TREND_RANGE_DAYS['30d'];
+    return { from: new Date(end.getFullYear(), end.getMonth(), end.getDate() - days + 1), to: end };
+  }
+
+  /**
+   * Split a range into buckets of { start, end } timestamps (end exclusive),
+   * clipped to the range so partial weeks and months only cover its days.
+   */
+  function getTrendBuckets(from, to, unit) {
+    const buckets = [];
+    const last = to.getTime() + DAY_MS;
+    for (let start = startOfBucket(from, unit); start.getTime() < last; start = addBuckets(start, unit, 1)) {
+      const next = addBuckets(start, unit, 1);
+      buckets.push({
+        start: Math.max(start.getTime(), from.getTime()),
+        end: Math.min(next.getTime(), last)
+      });
+    }
+    return buckets;
+  }
+
+  function formatTrendLabel(bucket, unit) {
+    const start = new Date(bucket.start);
+    if (unit === 'month') return start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    if (unit === 'week') return `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+    return start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Intensity-weighted average valence of the moods in a list of entries,
+   * rounded to two places, or null when the list is empty.
+   */
+  function averageValence(list) {
+    let weighted = 0;
+    let total = 0;
+    list.forEach(e => e.moods.forEach(m => {
+      weighted += getMoodValence(m.name) * m.intensity;
+      total += m.intensity;
+    }));
+    return total ? Math.round(weighted / total * 100) / 100 : null;
+  }
+
+  /**
+   * Plot values per bucket: the intensity-weighted valence (null for
+   * empty buckets) or, per mood, the number of entries.
+   */
+  function computeTrendSeries(buckets, metric) {
+    const inBucket = buckets.map(b => entries.filter(e => e.timestamp >= b.start && e.timestamp < b.end));
+    if (metric === 'valence') {
+      return [{ name: 'Valence', values: inBucket.map(averageValence) }];
+    }
+    const names = [];
+    moodList.forEach(m => names.push(m.name));
+    entries.forEach(e => getEntryMoodNames(e).forEach(name => { if (!names.includes(name)) names.push(name); }));
+    return names
+      .map(name => ({ name, values: inBucket.map(list => list.filter(e => entryHasMood(e, name)).length) }))
+      .filter(series => series.values.some(v => v > 0));
+  }
+
+  // Trailing average over `window` buckets, skipping empty (null) ones.
+  function rollingAverage(values, window) {
+    return values.map((_, i) => {
+      const slice = values.slice(Math.max(0, i - window + 1), i + 1).filter(v => v !== null);
+      return slice.length ? Math.round(slice.reduce((a, b) => a + b, 0) / slice.length * 100) / 100 : null;
+    });
+  }
+
+  function initTrendChart() {
+    const canvas = document.getElementById('trendChart');
+    if (!canvas) return;
+    trendChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: { labels: [], datasets: [] },
+      options: {
+        interaction: { mode: 'nearest', intersect: false },
+        spanGaps: true,
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12 } }
+        },
+        scales: {
+          y: { beginAtZero: true }
+        },
+        onClick: (evt, elements) => {
+          if (elements && elements.length > 0) filterTimelineToTrendBucket(elements[0].index);
+        }
+      }
+    });
+    syncTrendControls();
+  }
+
+  // Buckets behind the points currently plotted, for the click handler.
+  let trendBuckets = [];
+
+  /**
+   * Filter the timeline to the days of one trend bucket. Clicking the same
+   * bucket again clears the date range.
+   */
+  function filterTimelineToTrendBucket(index) {
+    const bucket = trendBuckets[index];
+    if (!bucket) return;
+    const from = toDateInputValue(new Date(bucket.start));
+    const to = toDateInputValue(new Date(bucket.end - DAY_MS));
+    if (searchFrom === from && searchTo === to) {
+      searchFrom = '';
+      searchTo = '';
+    } else {
+      searchFrom = from;
+      searchTo = to;
+    }
+    syncSearchControls();
+    applyFilters();
+  }
+
+  function updateTrendChart() {
+    if (!trendChart) return;
+    const settings = getTrendSettings();
+    const range = getTrendRange(settings);
+    const note = document.getElementById('trendNote');
+    if (!range) {
+      trendBuckets = [];
+      trendChart.data.labels = [];
+      trendChart.data.datasets = [];
+      trendChart.update();
+      if (note) note.textContent = settings.range === 'custom' ? 'Choose a start and end date.' : 'No entries yet.';
+      return;
+    }
+    const unit = settings.bucket;
+    trendBuckets = getTrendBuckets(range.from, range.to, unit);
+    const span = TREND_ROLLING_WINDOW[unit];
+    const smooth = values => (settings.rolling ? rollingAverage(values, span) : values);
+    const suffix = settings.rolling ? ` (${span}-${unit} avg)` : '';
+    const colorFor = name => (name === 'Valence' ? getComputedStyle(document.documentElement).getPropertyValue('--primary').trim() || '#6c63ff' : moodList.find(m => m.name === name)?.color || colorForMoodName(name));
+    const datasets = computeTrendSeries(trendBuckets, settings.metric).map(series => ({
+      label: `${series.name}${suffix}`,
+      data: smooth(series.values),
+      borderColor: colorFor(series.name),
+      backgroundColor: colorFor(series.name),
+      tension: 0.3,
+      pointRadius: 3
+    }));
+    // The previous period covers the same number of buckets right before.
+    const canCompare = settings.range !== 'all';
+    if (settings.compare && canCompare) {
+      const shift = trendBuckets.length;
+      const previousFrom = addBuckets(startOfBucket(range.from, unit), unit, -shift);
+      const previousTo = new Date(addBuckets(startOfBucket(range.from, unit), unit, 0).getTime() - DAY_MS);
+      const previous = getTrendBuckets(previousFrom, previousTo, unit).slice(-shift);
+      computeTrendSeries(previous, settings.metric).forEach(series => {
+        datasets.push({
+          label: `${series.name}, previous period${suffix}`,
+          data: smooth(series.values),
+          borderColor: hexToRgba(colorFor(series.name), 0.45),
+          backgroundColor: hexToRgba(colorFor(series.name), 0.45),
+          borderDash: [6, 4],
+          tension: 0.3,
+          pointRadius: 0
+        });
+      });
+    }
+    trendChart.data.labels = trendBuckets.map(b => formatTrendLabel(b, unit));
+    trendChart.data.datasets = datasets;
+    trendChart.options.scales.y = settings.metric === 'valence'
+      ? { min: -2, max: 2, title: { display: true, text: 'Valence (negative to positive)' } }
+      : { beginAtZero: true, ticks: { stepSize: 1 }, title: { display: true, text: 'Entries' } };
+    trendChart.update();
+    const compareBox = document.getElementById('trendCompare');
+    if (compareBox) compareBox.disabled = !canCompare;
+    if (note) note.textContent = datasets.length ? 'Click a point to show those entries in the timeline.' : 'No entries in this range.';
+  }
+
+  function syncTrendControls() {
+    const settings = getTrendSettings();
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    };
+    setValue('trendMetric', settings.metric);
+    setValue('trendBucket', settings.bucket);
+    setValue('trendFrom', settings.from);
+    setValue('trendTo', settings.to);
+    const rolling = document.getElementById('trendRolling');
+    if (rolling) rolling.checked = settings.rolling;
+    const compare = document.getElementById('trendCompare');
+    if (compare) compare.checked = settings.compare;
+    document.querySelectorAll('.trend-range-btn').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.range === settings.range));
+    });
+    const custom = document.getElementById('trendCustomRange');
+    if (custom) custom.hidden = settings.range !== 'custom';
+  }
+
+  function changeTrendSettings(changes) {
+    saveTrendSettings({ ...getTrendSettings(), ...changes });
+    syncTrendControls();
+    updateTrendChart();
   }
 
-  function loadMoodList() {
+  document.getElementById('trendMetric')?.addEventListener('change', evt => changeTrendSettings({ metric: evt.target.value }));
+  document.getElementById('trendBucket')?.addEventListener('change', evt => changeTrendSettings({ bucket: evt.target.value }));
+  document.getElementById('trendRolling')?.addEventListener('change', evt => changeTrendSettings({ rolling: evt.target.checked }));
+  document.getElementById('trendCompare')?.addEventListener('change', evt => changeTrendSettings({ compare: evt.target.checked }));
+  document.getElementById('trendFrom')?.addEventListener('change', evt => changeTrendSettings({ from: evt.target.value }));
+  document.getElementById('trendTo')?.addEventListener('change', evt => changeTrendSettings({ to: evt.target.value }));
+  document.querySelectorAll('.trend-range-btn').forEach(btn => {
+    btn.addEventListener('click', () => changeTrendSettings({ range: btn.dataset.range }));
+  });
+
+  async function loadMoodList() {
     try {
-      const saved = localStorage.getItem('m2mMoods');
+      const saved = await readSecureItem('m2mMoods');
       if (saved) {
         moodList = JSON.parse(saved);
       } else {
         moodList = [
-          { name: 'Happy', icon: 'fa-smile-beam', color: '#6c63ff' },
-          { name: 'Sad', icon: 'fa-frown', color: '#f77754' },
-          { name: 'Angry', icon: 'fa-angry', color: '#ff9a56' },
-          { name: 'Excited', icon: 'fa-grin-stars', color: '#f0c808' },
-          { name: 'Calm', icon: 'fa-spa', color: '#55c57a' }
+          { name: 'Happy', icon: 'fa-smile-beam', color: '#6c63ff', valence: 2 },
+          { name: 'Sad', icon: 'fa-frown', color: '#f77754', valence: -2 },
+          { name: 'Angry', icon: 'fa-angry', color: '#ff9a56', valence: -2 },
+          { name: 'Excited', icon: 'fa-grin-stars', color: '#f0c808', valence: 2 },
+          { name: 'Calm', icon: 'fa-spa', color: '#55c57a', valence: 1 }
         ];
       }
       moodList = moodList.filter(m => {
@@ -496,132 +2747,671 @@
         seen.add(m.name);
         return true;
       });
-    } catch (err) {
-      console.error('Could not load mood list', err);
-      moodList = [];
-    }
-  }
+    } catch (err) {
+      console.error('Could not load mood list', err);
+      moodList = [];
+    }
+  }
+
+  function saveMoodList() {
+    queueSecureItemWrite('m2mMoods', JSON.stringify(moodList));
+  }
+
+  function renderMoodOptions() {
+    const container = document.querySelector('.mood-options');
+    if (!container) return;
+    container.innerHTML = '';
+    moodList.filter(mood => !mood.hidden).forEach(mood => {
+      const label = document.createElement('label');
+      label.className = 'mood';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'mood';
+      input.value = mood.name;
+      const spanIcon = document.createElement('span');
+      spanIcon.className = 'icon';
+      const iconEl = document.createElement('i');
+      iconEl.className = `fas ${mood.icon}`;
+      spanIcon.appendChild(iconEl);
+      spanIcon.style.background = mood.color;
+      const spanLabel = document.createElement('span');
+      spanLabel.className = 'label';
+      spanLabel.textContent = mood.name;
+      label.appendChild(input);
+      label.appendChild(spanIcon);
+      label.appendChild(spanLabel);
+      if (!builtInMoodNames.includes(mood.name)) {
+        const delBtn = document.createElement('button');
+        delBtn.type = 'button';
+        delBtn.className = 'delete-mood-btn';
+        delBtn.title = 'Delete mood';
+        delBtn.innerHTML = '&times;';
+        delBtn.addEventListener('click', evt => {
+          evt.stopPropagation();
+          evt.preventDefault();
+          deleteMood(mood.name);
+        });
+        label.appendChild(delBtn);
+      }
+      container.appendChild(label);
+    });
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.id = 'addMoodBtn';
+    addBtn.className = 'mood add-mood-btn';
+    addBtn.innerHTML = '<span class="icon"><i class="fas fa-plus"></i></span><span class="label">Add</span>';
+    container.appendChild(addBtn);
+    addBtn.addEventListener('click', () => {
+      const moodModal = document.getElementById('moodModal');
+      if (moodModal) moodModal.classList.add('open');
+    });
+    const manageBtn = document.createElement('button');
+    manageBtn.type = 'button';
+    manageBtn.id = 'manageMoodsBtn';
+    manageBtn.className = 'mood add-mood-btn';
+    manageBtn.innerHTML = '<span class="icon"><i class="fas fa-sliders-h"></i></span><span class="label">Manage</span>';
+    container.appendChild(manageBtn);
+    manageBtn.addEventListener('click', () => {
+      renderMoodManager();
+      document.getElementById('moodManagerModal')?.classList.add('open');
+    });
+    attachMoodSelectionEvents();
+    renderSearchMoodOptions();
+  }
+
+  const moodIconChoices = [
+    'fa-smile-beam', 'fa-laugh', 'fa-grin-stars', 'fa-grin-hearts', 'fa-meh', 'fa-frown',
+    'fa-sad-tear', 'fa-tired', 'fa-angry', 'fa-grimace', 'fa-flushed', 'fa-surprise',
+    'fa-heart', 'fa-hand-holding-heart', 'fa-spa', 'fa-leaf', 'fa-sun', 'fa-moon',
+    'fa-cloud-rain', 'fa-bolt', 'fa-fire', 'fa-star', 'fa-mug-hot', 'fa-bed'
+  ];
+  const DEFAULT_MOOD_ICON = 'fa-heart';
+
+  /**
+   * Build a grid of icon buttons. `onPick` is called with the icon class
+   * whenever the user picks one.
+   */
+  function createIconPicker(selected, onPick) {
+    const grid = document.createElement('div');
+    grid.className = 'icon-picker';
+    grid.setAttribute('role', 'radiogroup');
+    moodIconChoices.forEach(icon => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'icon-choice';
+      btn.dataset.icon = icon;
+      btn.setAttribute('role', 'radio');
+      btn.setAttribute('aria-checked', String(icon === selected));
+      btn.setAttribute('aria-label', icon.replace(/^fa-/, '').replace(/-/g, ' '));
+      btn.innerHTML = `<i class="fas ${icon}"></i>`;
+      btn.addEventListener('click', () => {
+        grid.querySelectorAll('.icon-choice').forEach(b => b.setAttribute('aria-checked', String(b === btn)));
+        onPick(icon);
+      });
+      grid.appendChild(btn);
+    });
+    return grid;
+  }
+
+  /**
+   * Point every use of mood `from` at mood `to` in a list of entries and
+   * their revisions. When an entry already has `to`, the two are combined
+   * at the stronger intensity. Returns the number of entries changed.
+   */
+  function remapMoodInEntries(list, from, to) {
+    let changed = 0;
+    const remap = record => {
+      if (!record.moods?.some(m => m.name === from)) return false;
+      const existing = record.moods.find(m => m.name === to);
+      if (existing) {
+        const source = record.moods.find(m => m.name === from);
+        existing.intensity = Math.max(existing.intensity, source.intensity);
+        record.moods = record.moods.filter(m => m.name !== from);
+      } else {
+        record.moods.forEach(m => { if (m.name === from) m.name = to; });
+      }
+      return true;
+    };
+    list.forEach(entry => {
+      let touched = remap(entry);
+      (entry.revisions || []).forEach(rev => { if (remap(rev)) touched = true; });
+      if (touched) changed++;
+    });
+    return changed;
+  }
+
+  // Entries (in the journal or the trash) that use a mood.
+  function countMoodUses(name) {
+    return [...entries, ...trash].filter(entry => entryHasMood(entry, name)).length;
+  }
+
+  // Keep filters pointing at a mood that was renamed, merged or deleted.
+  function remapMoodFilters(from, to) {
+    if (filterMood === from) filterMood = to;
+    if (searchMoods.has(from)) {
+      searchMoods.delete(from);
+      if (to) searchMoods.add(to);
+    }
+  }
+
+  // Save and redraw everything that shows moods after the mood list changed.
+  function refreshMoodViews() {
+    saveMoodList();
+    renderMoodOptions();
+    renderMoodManager();
+    refreshEntryViews();
+    updateMoodSuggestion();
+  }
+
+  /**
+   * Rename a mood, carrying the new name through every entry that uses it.
+   * Returns false (after telling the user) when the name is empty or taken.
+   */
+  function renameMood(oldName, newName) {
+    const mood = moodList.find(m => m.name === oldName);
+    newName = (newName || '').trim();
+    if (!mood || newName === oldName) return false;
+    if (!newName) {
+      alert('A mood needs a name.');
+      return false;
+    }
+    const clash = moodList.find(m => m !== mood && m.name.toLowerCase() === newName.toLowerCase());
+    if (clash) {
+      alert(`There is already a mood called "${clash.name}". Use Merge to combine the two.`);
+      return false;
+    }
+    // Built-in moods take their valence and suggestion words from their
+    // name, so pin them to the mood first.
+    mood.valence = getMoodValence(oldName);
+    const builtInTerms = [...(moodKeywords[oldName] || []), ...(moodEmoji[oldName] || [])];
+    if (builtInTerms.length) mood.keywords = Array.from(new Set([...(mood.keywords || []), ...builtInTerms]));
+    mood.name = newName;
+    if (remapMoodInEntries(entries, oldName, newName)) saveEntries();
+    if (remapMoodInEntries(trash, oldName, newName)) saveTrash();
+    remapMoodFilters(oldName, newName);
+    refreshMoodViews();
+    return true;
+  }
+
+  /**
+   * Fold mood `source` into `target`: entries using it move over and its
+   * keywords are kept, then `source` is removed from the list.
+   */
+  function mergeMoods(source, target) {
+    const from = moodList.find(m => m.name === source);
+    const into = moodList.find(m => m.name === target);
+    if (!from || !into || from === into) return;
+    into.keywords = Array.from(new Set([...(into.keywords || []), ...(from.keywords || [])]));
+    moodList = moodList.filter(m => m !== from);
+    if (remapMoodInEntries(entries, source, target)) saveEntries();
+    if (remapMoodInEntries(trash, source, target)) saveTrash();
+    remapMoodFilters(source, target);
+    refreshMoodViews();
+  }
+
+  function setMoodArchived(name, archived) {
+    const mood = moodList.find(m => m.name === name);
+    if (!mood) return;
+    if (archived) {
+      mood.hidden = true;
+    } else {
+      delete mood.hidden;
+    }
+    refreshMoodViews();
+  }
+
+  /**
+   * Delete a mood. One that entries still use is not removed outright: the
+   * user is asked which mood those entries should move to, or to archive it.
+   */
+  function deleteMood(name) {
+    const uses = countMoodUses(name);
+    if (uses > 0) {
+      openMoodRemap(name, uses);
+      return;
+    }
+    if (!confirm(`Delete the mood "${name}"?`)) return;
+    moodList = moodList.filter(m => m.name !== name);
+    remapMoodFilters(name, null);
+    refreshMoodViews();
+  }
+
+  function openMoodRemap(name, uses) {
+    const modal = document.getElementById('moodRemapModal');
+    const select = document.getElementById('moodRemapTarget');
+    if (!modal || !select) return;
+    document.getElementById('moodRemapMessage').textContent =
+      `${uses} ${uses === 1 ? 'entry uses' : 'entries use'} "${name}". Move ${uses === 1 ? 'it' : 'them'} to another mood before deleting, or archive "${name}" to hide it from the picker and keep the entries as they are.`;
+    select.innerHTML = '';
+    moodList.filter(m => m.name !== name).forEach(m => {
+      const option = document.createElement('option');
+      option.value = m.name;
+      option.textContent = m.hidden ? `${m.name} (archived)` : m.name;
+      select.appendChild(option);
+    });
+    document.getElementById('moodRemapConfirmBtn').disabled = select.options.length === 0;
+    modal.dataset.mood = name;
+    modal.classList.add('open');
+  }
+
+  const moodRemapModal = document.getElementById('moodRemapModal');
+  if (moodRemapModal) {
+    document.getElementById('moodRemapConfirmBtn')?.addEventListener('click', () => {
+      mergeMoods(moodRemapModal.dataset.mood, document.getElementById('moodRemapTarget').value);
+      moodRemapModal.classList.remove('open');
+    });
+    document.getElementById('moodRemapArchiveBtn')?.addEventListener('click', () => {
+      setMoodArchived(moodRemapModal.dataset.mood, true);
+      moodRemapModal.classList.remove('open');
+    });
+    document.getElementById('moodRemapCancelBtn')?.addEventListener('click', () => {
+      moodRemapModal.classList.remove('open');
+    });
+  }
+
+  function moveMood(name, toIndex) {
+    const from = moodList.findIndex(m => m.name === name);
+    if (from < 0 || toIndex < 0 || toIndex >= moodList.length || from === toIndex) return;
+    const [mood] = moodList.splice(from, 1);
+    moodList.splice(toIndex, 0, mood);
+    refreshMoodViews();
+  }
+
+  /**
+   * Render the mood manager: one row per mood with a drag handle, icon,
+   * name, colour and archive/merge/delete actions. Rows can be dragged to
+   * reorder, or moved with the arrow buttons from the keyboard.
+   */
+  function renderMoodManager() {
+    const list = document.getElementById('moodManagerList');
+    if (!list) return;
+    list.innerHTML = '';
+    moodList.forEach((mood, index) => {
+      const row = document.createElement('li');
+      row.className = 'mood-manager-row';
+      row.classList.toggle('archived', !!mood.hidden);
+      row.draggable = true;
+      row.dataset.mood = mood.name;
+
+      const handle = document.createElement('span');
+      handle.className = 'mood-manager-handle';
+      handle.title = 'Drag to reorder';
+      handle.innerHTML = '<i class="fas fa-grip-vertical"></i>';
+
+      const iconBtn = document.createElement('button');
+      iconBtn.type = 'button';
+      iconBtn.className = 'mood-manager-icon';
+      iconBtn.title = 'Change icon';
+      iconBtn.style.background = mood.color;
+      iconBtn.innerHTML = `<i class="fas ${mood.icon}"></i>`;
+      iconBtn.addEventListener('click', () => {
+        const open = row.querySelector('.icon-picker');
+        if (open) {
+          open.remove();
+          return;
+        }
+        row.appendChild(createIconPicker(mood.icon, icon => {
+          mood.icon = icon;
+          refreshMoodViews();
+        }));
+      });
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = mood.name;
+      nameInput.setAttribute('aria-label', 'Mood name');
+      nameInput.addEventListener('change', () => {
+        if (!renameMood(mood.name, nameInput.value)) nameInput.value = mood.name;
+      });
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = mood.color;
+      colorInput.setAttribute('aria-label', `${mood.name} colour`);
+      colorInput.addEventListener('change', () => {
+        mood.color = colorInput.value;
+        refreshMoodViews();
+      });
+
+      const valence = document.createElement('select');
+      valence.setAttribute('aria-label', `How positive ${mood.name} is, for the trend chart`);
+      valence.title = 'How positive this mood is (used by the trend chart)';
+      [[2, 'Very positive'], [1, 'Positive'], [0, 'Neutral'], [-1, 'Negative'], [-2, 'Very negative']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        valence.appendChild(option);
+      });
+      valence.value = String(getMoodValence(mood.name));
+      valence.addEventListener('change', () => {
+        mood.valence = Number(valence.value);
+        refreshMoodViews();
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'mood-manager-actions';
+      const addAction = (label, title, onClick, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'secondary-btn';
+        btn.innerHTML = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.disabled = disabled;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+      };
+      addAction('<i class="fas fa-arrow-up"></i>', `Move ${mood.name} up`, () => moveMood(mood.name, index - 1), index === 0);
+      addAction('<i class="fas fa-arrow-down"></i>', `Move ${mood.name} down`, () => moveMood(mood.name, index + 1), index === moodList.length - 1);
+      addAction(mood.hidden ? 'Unarchive' : 'Archive', mood.hidden ? `Show ${mood.name} in the picker again` : `Hide ${mood.name} from the picker`, () => setMoodArchived(mood.name, !mood.hidden));
+
+      const merge = document.createElement('select');
+      merge.setAttribute('aria-label', `Merge ${mood.name} into another mood`);
+      merge.innerHTML = '<option value="">Merge into…</option>';
+      moodList.filter(m => m !== mood).forEach(m => {
+        const option = document.createElement('option');
+        option.value = m.name;
+        option.textContent = m.name;
+        merge.appendChild(option);
+      });
+      merge.addEventListener('change', () => {
+        const target = merge.value;
+        if (!target) return;
+        const uses = countMoodUses(mood.name);
+        if (confirm(`Merge "${mood.name}" into "${target}"? ${uses} ${uses === 1 ? 'entry' : 'entries'} will be moved and "${mood.name}" removed.`)) {
+          mergeMoods(mood.name, target);
+        } else {
+          merge.value = '';
+        }
+      });
+      actions.appendChild(merge);
+      addAction('<i class="fas fa-trash"></i>', `Delete ${mood.name}`, () => deleteMood(mood.name));
 
-  function saveMoodList() {
-    localStorage.setItem('m2mMoods', JSON.stringify(moodList));
-  }
+      row.append(handle, iconBtn, nameInput, colorInput, valence, actions);
 
-  function renderMoodOptions() {
-    const container = document.querySelector('.mood-options');
-    if (!container) return;
-    container.innerHTML = '';
-    moodList.forEach(mood => {
-      const label = document.createElement('label');
-      label.className = 'mood';
-      const input = document.createElement('input');
-      input.type = 'radio';
-      input.name = 'mood';
-      input.value = mood.name;
-      const spanIcon = document.createElement('span');
-      spanIcon.className = 'icon';
-      const iconEl = document.createElement('i');
-      iconEl.className = `fas ${mood.icon}`;
-      spanIcon.appendChild(iconEl);
-      spanIcon.style.background = mood.color;
-      const spanLabel = document.createElement('span');
-      spanLabel.className = 'label';
-      spanLabel.textContent = mood.name;
-      label.appendChild(input);
-      label.appendChild(spanIcon);
-      label.appendChild(spanLabel);
-      if (!builtInMoodNames.includes(mood.name)) {
-        const delBtn = document.createElement('button');
-        delBtn.type = 'button';
-        delBtn.className = 'delete-mood-btn';
-        delBtn.title = 'Delete mood';
-        delBtn.innerHTML = '&times;';
-        delBtn.addEventListener('click', evt => {
-          evt.stopPropagation();
-          evt.preventDefault();
-          deleteMood(mood.name);
-        });
-        label.appendChild(delBtn);
-      }
-      container.appendChild(label);
-    });
-    const addBtn = document.createElement('button');
-    addBtn.type = 'button';
-    addBtn.id = 'addMoodBtn';
-    addBtn.className = 'mood add-mood-btn';
-    addBtn.innerHTML = '<span class="icon"><i class="fas fa-plus"></i></span><span class="label">Add</span>';
-    container.appendChild(addBtn);
-    addBtn.addEventListener('click', () => {
-      const moodModal = document.getElementById('moodModal');
-      if (moodModal) moodModal.classList.add('open');
+      row.addEventListener('dragstart', evt => {
+        evt.dataTransfer.setData('text/plain', mood.name);
+        evt.dataTransfer.effectAllowed = 'move';
+        row.classList.add('dragging');
+      });
+      row.addEventListener('dragend', () => row.classList.remove('dragging'));
+      row.addEventListener('dragover', evt => {
+        evt.preventDefault();
+        row.classList.add('drag-over');
+      });
+      row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+      row.addEventListener('drop', evt => {
+        evt.preventDefault();
+        row.classList.remove('drag-over');
+        moveMood(evt.dataTransfer.getData('text/plain'), index);
+      });
+      list.appendChild(row);
     });
-    attachMoodSelectionEvents();
   }
 
-  function deleteMood(name) {
-    if (builtInMoodNames.includes(name)) return;
-    moodList = moodList.filter(m => m.name !== name);
-    saveMoodList();
-    renderMoodOptions();
-    updateChart();
+  const moodManagerModal = document.getElementById('moodManagerModal');
+  if (moodManagerModal) {
+    document.getElementById('closeMoodManagerBtn')?.addEventListener('click', () => {
+      moodManagerModal.classList.remove('open');
+    });
   }
 
-  function addCustomMood(name, color) {
-    const icon = 'fa-heart';
+  function addCustomMood(name, color, keywords = [], icon = DEFAULT_MOOD_ICON) {
     if (!name) return;
     const existing = moodList.find(m => m.name.toLowerCase() === name.toLowerCase());
     if (existing) {
       existing.color = color;
       existing.icon = icon;
+      delete existing.hidden;
+      if (keywords.length) existing.keywords = keywords;
     } else {
-      moodList.push({ name, icon, color });
+      moodList.push({ name, icon, color, keywords });
     }
     saveMoodList();
     renderMoodOptions();
     updateChart();
   }
 
-  async function loadDailyAffirmation() {
-    const affirmationEl = document.querySelector('#dailyAffirmation .affirmation-text');
-    if (!affirmationEl) return;
-    let affirmation;
+  /*
+    Daily affirmations. One affirmation is kept per calendar day in
+    `m2mAffirmations` (newest last), so reloading the page doesn't ask the
+    AI again. Each can be favourited, rated up or down, or pinned to the
+    hero in place of the day's affirmation. Favourites and ratings are
+    passed to the AI so later affirmations match the tone the user likes.
+  */
+  const fallbackAffirmations = [
+    'You are resilient and capable of handling whatever comes your way.',
+    'Every day is a new opportunity to grow and learn.',
+    'You have the strength to turn challenges into opportunities.',
+    'Trust yourself; you are doing your best and it is enough.',
+    'Focus on what you can control and let go of the rest.',
+    'You are worthy of love and compassion, including your own.',
+    'Celebrate your small victories and progress today.',
+    'Take a deep breath; you deserve calm and clarity.'
+  ];
+  // Older affirmations beyond this many are dropped unless favourited.
+  const AFFIRMATION_HISTORY_LIMIT = 200;
+  const AFFIRMATION_EXAMPLE_LIMIT = 3;
+
+  function getAffirmationHistory() {
     try {
-      const recentMoods = getRecentMoodsForAffirmation();
-      affirmation = await generateAffirmationForMoods(recentMoods);
+      const saved = JSON.parse(localStorage.getItem('m2mAffirmations') || '[]');
+      return Array.isArray(saved) ? saved.filter(a => a && typeof a.text === 'string' && a.id) : [];
     } catch (err) {
-      console.warn('Failed to generate affirmation, falling back to local affirmations.', err);
-    }
-    const fallbackAffirmations = [
-      'You are resilient and capable of handling whatever comes your way.',
-      'Every day is a new opportunity to grow and learn.',
-      'You have the strength to turn challenges into opportunities.',
-      'Trust yourself; you are doing your best and it is enough.',
-      'Focus on what you can control and let go of the rest.',
-      'You are worthy of love and compassion, including your own.',
-      'Celebrate your small victories and progress today.',
-      'Take a deep breath; you deserve calm and clarity.'
-    ];
-    if (affirmation) {
-      affirmationEl.textContent = affirmation;
-    } else {
-      const randomAffirmation = fallbackAffirmations[Math.floor(Math.random() * fallbackAffirmations.length)];
-      affirmationEl.textContent = randomAffirmation;
+      return [];
     }
   }
 
-  function updateTrending() {
-    const trendingEl = document.getElementById('trending');
-    if (!trendingEl) return;
-    const stopwords = new Set(['the','and','to','is','it','in','a','of','on','for','with','that','this','today','i','was','my','me','at']);
+  function saveAffirmationHistory(history) {
+    let kept = history;
+    const excess = history.length - AFFIRMATION_HISTORY_LIMIT;
+    if (excess > 0) {
+      let dropped = 0;
+      kept = history.filter(a => {
+        if (dropped >= excess || a.favorite || a.id === localStorage.getItem('m2mPinnedAffirmation')) return true;
+        dropped++;
+        return false;
+      });
+    }
+    localStorage.setItem('m2mAffirmations', JSON.stringify(kept));
+  }
+
+  function updateAffirmation(id, changes) {
+    const history = getAffirmationHistory();
+    const item = history.find(a => a.id === id);
+    if (!item) return;
+    Object.assign(item, changes);
+    Object.keys(changes).forEach(key => { if (changes[key] === undefined) delete item[key]; });
+    saveAffirmationHistory(history);
+  }
+
+  /**
+   * Describe the affirmations the user liked and disliked, for the AI
+   * prompt. Returns an empty string when there is no feedback yet.
+   */
+  function describeAffirmationPreferences() {
+    const history = getAffirmationHistory().slice().reverse();
+    const liked = history.filter(a => a.favorite || a.feedback === 'up').slice(0, AFFIRMATION_EXAMPLE_LIMIT);
+    const disliked = history.filter(a => a.feedback === 'down' && !a.favorite).slice(0, AFFIRMATION_EXAMPLE_LIMIT);
+    const parts = [];
+    if (liked.length) {
+      parts.push(`The user liked these affirmations, so match their tone and style without repeating them: ${liked.map(a => `"${a.text}"`).join('; ')}.`);
+    }
+    if (disliked.length) {
+      parts.push(`The user disliked these, so avoid their tone and style: ${disliked.map(a => `"${a.text}"`).join('; ')}.`);
+    }
+    return parts.join(' ');
+  }
+
+  // A built-in affirmation, avoiding ones the user disliked and the last one shown.
+  function pickLocalAffirmation(history) {
+    const disliked = new Set(history.filter(a => a.feedback === 'down').map(a => a.text));
+    const last = history[history.length - 1]?.text;
+    const choices = fallbackAffirmations.filter(text => !disliked.has(text) && text !== last);
+    const pool = choices.length ? choices : fallbackAffirmations;
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  /**
+   * Show the pinned affirmation, or today's. A new one is generated only
+   * when there is none for today yet or `fresh` asks for one (the "New
+   * affirmation" button, which also unpins).
+   */
+  async function loadDailyAffirmation(fresh = false) {
+    const affirmationEl = document.querySelector('#dailyAffirmation .affirmation-text');
+    if (!affirmationEl) return;
+    const today = toDateInputValue(new Date());
+    let history = getAffirmationHistory();
+    if (fresh) localStorage.removeItem('m2mPinnedAffirmation');
+    const pinned = history.find(a => a.id === localStorage.getItem('m2mPinnedAffirmation'));
+    let current = pinned || (!fresh && history.filter(a => a.date === today).pop());
+    if (!current) {
+      let affirmation;
+      // No upbeat slogans when recent entries mention self-harm or suicide.
+      const recent = getRecentEntries();
+      const needsCare = recent.some(e => detectCrisisLanguage(e.text).length > 0);
+      try {
+        affirmation = await generateAffirmationForMoods(recent.flatMap(e => e.moods), needsCare);
+      } catch (err) {
+        console.warn('Failed to generate affirmation, falling back to local affirmations.', err);
+      }
+      history = getAffirmationHistory();
+      const fallback = needsCare ? CRISIS_CARE_AFFIRMATION : pickLocalAffirmation(history);
+      current = {
+        id: createEntryId(),
+        text: affirmation ? affirmation.trim() : fallback,
+        date: today,
+        createdAt: Date.now()
+      };
+      history.push(current);
+      saveAffirmationHistory(history);
+    }
+    renderAffirmation(current);
+  }
+
+  function renderAffirmation(affirmation) {
+    const container = document.getElementById('dailyAffirmation');
+    if (!container) return;
+    container.dataset.id = affirmation.id;
+    container.querySelector('.affirmation-text').textContent = affirmation.text;
+    const pinned = localStorage.getItem('m2mPinnedAffirmation') === affirmation.id;
+    const setPressed = (selector, pressed) => container.querySelector(selector)?.setAttribute('aria-pressed', String(pressed));
+    setPressed('.affirmation-favorite', !!affirmation.favorite);
+    setPressed('.affirmation-up', affirmation.feedback === 'up');
+    setPressed('.affirmation-down', affirmation.feedback === 'down');
+    setPressed('.affirmation-pin', pinned);
+    const note = container.querySelector('.affirmation-note');
+    if (note) {
+      note.textContent = pinned && affirmation.date
+        ? `Pinned from ${new Date(dayStart(affirmation.date)).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+        : '';
+    }
+  }
+
+  /**
+   * Toggle favourite, thumbs up/down or pin on an affirmation, then refresh
+   * the hero and the history list.
+   */
+  function toggleAffirmation(id, action) {
+    const item = getAffirmationHistory().find(a => a.id === id);
+    if (!item) return;
+    if (action === 'favorite') updateAffirmation(id, { favorite: item.favorite ? undefined : true });
+    if (action === 'up' || action === 'down') updateAffirmation(id, { feedback: item.feedback === action ? undefined : action });
+    if (action === 'pin') {
+      if (localStorage.getItem('m2mPinnedAffirmation') === id) {
+        localStorage.removeItem('m2mPinnedAffirmation');
+      } else {
+        localStorage.setItem('m2mPinnedAffirmation', id);
+      }
+    }
+    const shownId = document.getElementById('dailyAffirmation')?.dataset.id;
+    if (action === 'pin' || shownId === id) loadDailyAffirmation();
+    renderAffirmationHistory();
+  }
+
+  function renderAffirmationHistory() {
+    const list = document.getElementById('affirmationHistoryList');
+    if (!list) return;
+    const favoritesOnly = document.getElementById('affirmationFavoritesOnly')?.checked;
+    const pinnedId = localStorage.getItem('m2mPinnedAffirmation');
+    const items = getAffirmationHistory().slice().reverse().filter(a => !favoritesOnly || a.favorite);
+    list.innerHTML = '';
+    if (!items.length) {
+      list.innerHTML = `<li class="lock-status">${favoritesOnly ? 'No favourites yet.' : 'No affirmations yet.'}</li>`;
+      return;
+    }
+    items.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'affirmation-history-item';
+      const date = document.createElement('span');
+      date.className = 'affirmation-history-date';
+      date.textContent = item.date ? new Date(dayStart(item.date)).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+      const text = document.createElement('p');
+      text.textContent = item.text;
+      const actions = document.createElement('div');
+      actions.className = 'affirmation-actions';
+      [
+        ['favorite', 'fa-star', 'Favourite', !!item.favorite],
+        ['up', 'fa-thumbs-up', 'I like this', item.feedback === 'up'],
+        ['down', 'fa-thumbs-down', 'Not for me', item.feedback === 'down'],
+        ['pin', 'fa-thumbtack', 'Pin to the top of the page', item.id === pinnedId]
+      ].forEach(([action, icon, label, pressed]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `affirmation-action affirmation-${action}`;
+        btn.innerHTML = `<i class="fas ${icon}"></i>`;
+        btn.title = label;
+        btn.setAttribute('aria-label', label);
+        btn.setAttribute('aria-pressed', String(pressed));
+        btn.addEventListener('click', () => toggleAffirmation(item.id, action));
+        actions.appendChild(btn);
+      });
+      row.append(date, text, actions);
+      list.appendChild(row);
+    });
+  }
+
+  document.querySelectorAll('#dailyAffirmation .affirmation-action').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = document.getElementById('dailyAffirmation').dataset.id;
+      if (id) toggleAffirmation(id, btn.dataset.action);
+    });
+  });
+  const affirmationHistoryModal = document.getElementById('affirmationHistoryModal');
+  if (affirmationHistoryModal) {
+    document.getElementById('affirmationHistoryBtn')?.addEventListener('click', () => {
+      renderAffirmationHistory();
+      affirmationHistoryModal.classList.add('open');
+    });
+    document.getElementById('affirmationFavoritesOnly')?.addEventListener('change', renderAffirmationHistory);
+    document.getElementById('closeAffirmationHistoryBtn')?.addEventListener('click', () => {
+      affirmationHistoryModal.classList.remove('open');
+    });
+  }
+
+  const TRENDING_STOPWORDS = new Set(['the','and','to','is','it','in','a','of','on','for','with','that','this','today','i','was','my','me','at']);
+
+  /**
+   * The most frequent words in a list of entries, as [word, count] pairs.
+   * Used for the trending keywords and for reports.
+   */
+  function countKeywords(list, limit = 5) {
     const freq = {};
-    entries.forEach(entry => {
+    list.forEach(entry => {
       const words = entry.text.toLowerCase().match(/\b[a-z]{3,}\b/g);
       if (words) {
         words.forEach(w => {
-          if (!stopwords.has(w)) freq[w] = (freq[w] || 0) + 1;
+          if (!TRENDING_STOPWORDS.has(w)) freq[w] = (freq[w] || 0) + 1;
         });
       }
     });
-    const top = Object.entries(freq).sort((a,b) => b[1] - a[1]).slice(0, 5);
+    return Object.entries(freq).sort((a,b) => b[1] - a[1]).slice(0, limit);
+  }
+
+  function updateTrending() {
+    const trendingEl = document.getElementById('trending');
+    if (!trendingEl) return;
+    const top = countKeywords(entries);
     trendingEl.innerHTML = '';
     top.forEach(([word, count]) => {
       const span = document.createElement('span');
@@ -682,118 +3472,548 @@
     return `rgba(${r},${g},${b},${alpha})`;
   }
 
-  const moodKeywords = {
-    Happy: ['happy','joy','smile','glad','content','cheerful','delighted','bliss'],
-    Sad: ['sad','down','unhappy','tearful','sorrow','depressed','cry','blue','lonely'],
-    Angry: ['angry','mad','furious','annoyed','rage','frustrated','irritated','upset'],
-    Excited: ['excited','thrilled','eager','enthusiastic','pumped','elated'],
-    Calm: ['calm','relaxed','peaceful','tranquil','chill','serene','soothe']
-  };
+  // The scorer lives in mood-suggestion.js so it can be tested on its own.
+  const { analyzeMoodSuggestion, moodKeywords, moodEmoji } = window.m2mMoodSuggestion;
 
-  function analyzeMoodSuggestion(text) {
-    const words = (text.match(/\b[a-z]+\b/g) || []).map(w => w.toLowerCase());
-    const counts = {};
-    Object.keys(moodKeywords).forEach(m => { counts[m] = 0; });
-    words.forEach(word => {
-      for (const mood in moodKeywords) {
-        if (moodKeywords[mood].includes(word)) {
-          counts[mood]++;
-        }
-      }
-    });
-    let best = null;
-    let max = 0;
-    for (const mood in counts) {
-      if (counts[mood] > max) {
-        max = counts[mood];
-        best = mood;
-      }
-    }
-    return max > 0 ? best : null;
+  function parseMoodKeywords(value) {
+    return String(value || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
   }
 
   function updateMoodSuggestion() {
     const suggestionEl = document.getElementById('moodSuggestion');
     if (!suggestionEl) return;
+    suggestionEl.innerHTML = '';
     const text = document.getElementById('entryText')?.value || '';
-    const suggestedMood = analyzeMoodSuggestion(text);
-    if (suggestedMood) {
-      suggestionEl.textContent = `Suggested mood: ${suggestedMood}`;
-    } else {
-      suggestionEl.textContent = '';
-    }
+    const suggestion = analyzeMoodSuggestion(text, moodList);
+    if (!suggestion) return;
+    const input = Array.from(document.querySelectorAll('.mood-options input[name="mood"]'))
+      .find(el => el.value === suggestion.mood);
+    if (!input || input.checked) return;
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'mood-suggestion-chip';
+    chip.title = 'Select this mood';
+    chip.textContent = `Suggested mood: ${suggestion.mood} · ${Math.round(suggestion.confidence * 100)}%`;
+    const color = moodList.find(m => m.name === suggestion.mood)?.color;
+    if (color) chip.style.borderColor = color;
+    chip.addEventListener('click', () => {
+      input.checked = true;
+      input.dispatchEvent(new Event('change'));
+    });
+    suggestionEl.appendChild(chip);
+  }
+
+  /**
+   * Fill the keywords dialog with one comma-separated field per mood.
+   */
+  function renderMoodKeywordsForm() {
+    const list = document.getElementById('moodKeywordsList');
+    if (!list) return;
+    list.innerHTML = '';
+    moodList.forEach(mood => {
+      const label = document.createElement('label');
+      label.className = 'mood-keywords-row';
+      const name = document.createElement('span');
+      name.textContent = mood.name;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.mood = mood.name;
+      input.value = (mood.keywords || []).join(', ');
+      input.placeholder = 'e.g., promotion, beach, 🌞';
+      label.append(name, input);
+      list.appendChild(label);
+    });
   }
 
   function attachMoodSelectionEvents() {
     const moodLabels = document.querySelectorAll('.mood-options .mood');
     moodLabels.forEach(label => {
-      const input = label.querySelector('input[type="radio"]');
+      const input = label.querySelector('input[type="checkbox"]');
       if (input) {
         input.addEventListener('change', () => {
-          moodLabels.forEach(l => {
-            l.classList.remove('selected');
-          });
-          if (input.checked) {
-            label.classList.add('selected');
-          }
+          label.classList.toggle('selected', input.checked);
+          renderMoodIntensities();
+          updateMoodSuggestion();
         });
       }
     });
+    renderMoodIntensities();
+  }
+
+  /**
+   * Show a 1–5 intensity slider for each mood ticked in the entry form,
+   * keeping values already set for moods that stay selected.
+   */
+  function renderMoodIntensities() {
+    const container = document.getElementById('moodIntensities');
+    if (!container) return;
+    const previous = new Map(getFormMoods().map(m => [m.name, m.intensity]));
+    const selected = Array.from(document.querySelectorAll('.mood-options input[name="mood"]:checked'))
+      .map(input => input.value);
+    container.innerHTML = '';
+    selected.forEach(name => {
+      const row = document.createElement('label');
+      row.className = 'mood-intensity-row';
+      row.dataset.mood = name;
+      const nameEl = document.createElement('span');
+      nameEl.className = 'mood-intensity-name';
+      nameEl.textContent = name;
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = MIN_MOOD_INTENSITY;
+      range.max = MAX_MOOD_INTENSITY;
+      range.value = previous.get(name) ?? DEFAULT_MOOD_INTENSITY;
+      range.setAttribute('aria-label', `${name} intensity`);
+      const valueEl = document.createElement('span');
+      valueEl.className = 'mood-intensity-value';
+      valueEl.textContent = range.value;
+      range.addEventListener('input', () => { valueEl.textContent = range.value; });
+      row.append(nameEl, range, valueEl);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Read the moods chosen in the entry form as { name, intensity } objects.
+   */
+  function getFormMoods() {
+    return Array.from(document.querySelectorAll('#moodIntensities .mood-intensity-row')).map(row => ({
+      name: row.dataset.mood,
+      intensity: clampIntensity(row.querySelector('input[type="range"]').value)
+    }));
+  }
+
+  function initChatDrag() {
+    const popup = document.getElementById('chatWindow');
+    const header = popup?.querySelector('.chat-header');
+    if (!header || !popup) return;
+    let isDragging = false;
+    let offsetX = 0;
+    let offsetY = 0;
+    header.addEventListener('mousedown', e => {
+      isDragging = true;
+      const rect = popup.getBoundingClientRect();
+      offsetX = e.clientX - rect.left;
+      offsetY = e.clientY - rect.top;
+      popup.style.zIndex = '2000';
+      popup.style.top = `${rect.top}px`;
+      popup.style.left = `${rect.left}px`;
+      popup.style.bottom = 'auto';
+      popup.style.right = 'auto';
+    });
+    document.addEventListener('mousemove', e => {
+      if (!isDragging) return;
+      const x = e.clientX - offsetX;
+      const y = e.clientY - offsetY;
+      popup.style.left = `${x}px`;
+      popup.style.top = `${y}px`;
+    });
+    document.addEventListener('mouseup', () => {
+      if (isDragging) {
+        isDragging = false;
+      }
+    });
+  }
+
+  const entryTextEl = document.getElementById('entryText');
+  if (entryTextEl) {
+    entryTextEl.addEventListener('input', updateMoodSuggestion);
+  }
+
+  /**
+   * Reset the entry form's date/time picker to the current time. Until the
+   * user changes it, the entry is stamped with the moment it is saved.
+   */
+  function resetEntryWhen() {
+    const whenInput = document.getElementById('entryWhen');
+    if (!whenInput) return;
+    const now = new Date();
+    whenInput.value = toDateTimeInputValue(now);
+    whenInput.max = toDateTimeInputValue(now);
+    whenInput.dataset.auto = 'true';
+  }
+
+  /**
+   * Work out the timestamp for a new entry from the date/time picker.
+   * Returns null (after telling the user) for dates in the future.
+   */
+  function getEntryTimestamp() {
+    const whenInput = document.getElementById('entryWhen');
+    const now = Date.now();
+    if (!whenInput || whenInput.dataset.auto === 'true' || !whenInput.value) return now;
+    const timestamp = new Date(whenInput.value).getTime();
+    if (!Number.isFinite(timestamp)) return now;
+    // The picker has minute precision, so allow the current minute.
+    if (timestamp > now + 60000) {
+      alert('Entries can’t be dated in the future.');
+      return null;
+    }
+    return Math.min(timestamp, now);
+  }
+
+  // The given day at the current time of day, but never later than now.
+  function atCurrentTimeOfDay(date) {
+    const now = new Date();
+    const when = new Date(date.getFullYear(), date.getMonth(), date.getDate(), now.getHours(), now.getMinutes());
+    return when > now ? now : when;
+  }
+
+  /**
+   * Open the journal form dated to the given day, keeping the current time
+   * of day (or now, for today) so the entry lands on that calendar day.
+   */
+  function openJournalForDate(date) {
+    const whenInput = document.getElementById('entryWhen');
+    if (!whenInput) return;
+    const now = new Date();
+    const when = atCurrentTimeOfDay(date);
+    whenInput.max = toDateTimeInputValue(now);
+    whenInput.value = toDateTimeInputValue(when);
+    delete whenInput.dataset.auto;
+    document.getElementById('journal')?.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('entryText')?.focus();
+  }
+
+  const entryWhenEl = document.getElementById('entryWhen');
+  if (entryWhenEl) {
+    resetEntryWhen();
+    entryWhenEl.addEventListener('input', () => { delete entryWhenEl.dataset.auto; });
+    entryWhenEl.addEventListener('focus', () => {
+      if (entryWhenEl.dataset.auto === 'true') resetEntryWhen();
+      else entryWhenEl.max = toDateTimeInputValue(new Date());
+    });
+  }
+
+  function initCalendar() {
+    currentCalendarDate.setDate(1);
+    updateCalendar();
+  }
+
+  // Which layout the calendar uses: 'month', 'week' or 'year'.
+  const CALENDAR_VIEWS = ['month', 'week', 'year'];
+  let calendarView = CALENDAR_VIEWS.includes(localStorage.getItem('m2mCalendarView'))
+    ? localStorage.getItem('m2mCalendarView')
+    : 'month';
+
+  /*
+    Day summaries. Days with several entries get a short AI summary of what
+    was written, shown as a headline on the calendar and in full when the
+    day is selected. Summaries are kept with the journal's private values
+    under m2mDaySummaries, keyed by date, alongside a fingerprint of the
+    day's entries so a summary is only regenerated once those entries
+    change. Requests go through a small queue rather than all at once.
+  */
+  const DAY_SUMMARY_MIN_ENTRIES = 4;
+  const DAY_SUMMARY_CONCURRENCY = 2;
+  const DAY_SUMMARY_ENTRY_CHARS = 600;
+
+  let daySummaries = {};
+  const daySummaryQueue = [];
+  // Date key -> { fingerprint, promise } for queued and running requests.
+  const pendingDaySummaries = new Map();
+  // Fingerprints the AI could not summarise this session, so re-renders
+  // don't keep retrying them.
+  const failedDaySummaries = new Set();
+  let runningDaySummaries = 0;
+
+  async function loadDaySummaries() {
+    try {
+      const saved = await readSecureItem('m2mDaySummaries');
+      daySummaries = (saved && JSON.parse(saved)) || {};
+    } catch (err) {
+      console.warn('Could not read day summaries', err);
+      daySummaries = {};
+    }
+  }
+
+  function getEntriesForDay(dateKey) {
+    const dateString = dateKey.toDateString();
+    return entries.filter(e => new Date(e.timestamp).toDateString() === dateString);
+  }
+
+  // Hash of everything a summary reads from the day's entries.
+  function fingerprintDayEntries(dayEntries) {
+    const source = JSON.stringify(dayEntries
+      .slice()
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(e => [e.id, e.timestamp, e.text, e.moods]));
+    let hash = 0;
+    for (let i = 0; i < source.length; i++) {
+      hash = (hash * 31 + source.charCodeAt(i)) >>> 0;
+    }
+    return `${dayEntries.length}-${hash.toString(36)}`;
+  }
+
+  /**
+   * The saved summary ({ headline, text }) for a day, or null when there is
+   * none or the day's entries have changed since it was written.
+   */
+  function getDaySummary(dateKey, dayEntries) {
+    const saved = daySummaries[toDateInputValue(dateKey)];
+    return saved && saved.fingerprint === fingerprintDayEntries(dayEntries) ? saved : null;
+  }
+
+  /**
+   * Store a summary, dropping any that no longer match their day's entries
+   * (edited, deleted or moved) while we're at it.
+   */
+  function saveDaySummary(key, summary) {
+    daySummaries[key] = summary;
+    const byDay = groupEntriesByDay(entries);
+    Object.keys(daySummaries).forEach(k => {
+      const dayEntries = byDay.get(new Date(dayStart(k)).toDateString()) || [];
+      if (daySummaries[k].fingerprint !== fingerprintDayEntries(dayEntries)) delete daySummaries[k];
+    });
+    queueSecureItemWrite('m2mDaySummaries', JSON.stringify(daySummaries));
+  }
+
+  // Shown until an AI summary arrives, or when AI is unavailable.
+  function describeDayLocally(dayEntries) {
+    const names = Array.from(new Set(dayEntries.flatMap(getEntryMoodNames)));
+    return `Mixed feelings: ${names.join(', ')}`;
+  }
+
+  /**
+   * Ask the AI for a neutral summary of one day's entries. Resolves to
+   * { headline, text } or null when AI is off or returns nothing.
+   */
+  async function generateDaySummary(dateKey, dayEntries) {
+    const lines = dayEntries
+      .slice()
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(e => {
+        const time = new Date(e.timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+        const text = e.text.length > DAY_SUMMARY_ENTRY_CHARS ? `${e.text.slice(0, DAY_SUMMARY_ENTRY_CHARS)}…` : e.text;
+        return `- ${time}, feeling ${describeMoodsForPrompt(e.moods)}: ${text}`;
+      });
+    let system = 'You summarise one day of a private mood journal for the person who wrote it. Describe, in the second person, what happened and how their feelings shifted through the day, using only what the entries say. Be accurate, neutral and kind. Do not give advice, encouragement or affirmations.';
+    if (dayEntries.some(e => detectCrisisLanguage(e.text).length > 0)) system += ` ${CRISIS_SUMMARY_INSTRUCTION}`;
+    const reply = await aiComplete({
+      system,
+      messages: [{
+        role: 'user',
+        content: `Entries from ${dateKey.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}, with mood intensities from 1 (mild) to ${MAX_MOOD_INTENSITY} (intense):\n${lines.join('\n')}\n\n` +
+          'Reply with a headline of at most eight words on the first line, then a summary of two to four sentences.'
+      }]
+    });
+    if (!reply) return null;
+    const [first, ...rest] = reply.split('\n').map(line => line.trim()).filter(Boolean);
+    const headline = first
+      .replace(/^#+\s*|^headline:\s*/i, '')
+      .replace(/^\*\*|\*\*$/g, '')
+      .replace(/^["“]|["”]$/g, '');
+    return { headline, text: rest.join(' ').replace(/^summary:\s*/i, '') || headline };
+  }
+
+  /**
+   * Queue a summary for a day. Requests for the same day and entries share
+   * one promise, and at most DAY_SUMMARY_CONCURRENCY run at a time.
+   * Resolves to the saved summary or null.
+   */
+  function requestDaySummary(dateKey, dayEntries) {
+    const key = toDateInputValue(dateKey);
+    const fingerprint = fingerprintDayEntries(dayEntries);
+    if (failedDaySummaries.has(fingerprint)) return Promise.resolve(null);
+    const pending = pendingDaySummaries.get(key);
+    if (pending && pending.fingerprint === fingerprint) return pending.promise;
+    const promise = new Promise(resolve => {
+      daySummaryQueue.push({ key, fingerprint, dateKey, resolve });
+    });
+    pendingDaySummaries.set(key, { fingerprint, promise });
+    runDaySummaryQueue();
+    return promise;
   }
 
-  function initChatDrag() {
-    const popup = document.getElementById('chatWindow');
-    const header = popup?.querySelector('.chat-header');
-    if (!header || !popup) return;
-    let isDragging = false;
-    let offsetX = 0;
-    let offsetY = 0;
-    header.addEventListener('mousedown', e => {
-      isDragging = true;
-      const rect = popup.getBoundingClientRect();
-      offsetX = e.clientX - rect.left;
-      offsetY = e.clientY - rect.top;
-      popup.style.zIndex = '2000';
-      popup.style.top = `${rect.top}px`;
-      popup.style.left = `${rect.left}px`;
-      popup.style.bottom = 'auto';
-      popup.style.right = 'auto';
-    });
-    document.addEventListener('mousemove', e => {
-      if (!isDragging) return;
-      const x = e.clientX - offsetX;
-      const y = e.clientY - offsetY;
-      popup.style.left = `${x}px`;
-      popup.style.top = `${y}px`;
-    });
-    document.addEventListener('mouseup', () => {
-      if (isDragging) {
-        isDragging = false;
+  function runDaySummaryQueue() {
+    while (runningDaySummaries < DAY_SUMMARY_CONCURRENCY && daySummaryQueue.length > 0) {
+      const job = daySummaryQueue.shift();
+      const finish = summary => {
+        if (pendingDaySummaries.get(job.key)?.fingerprint === job.fingerprint) {
+          pendingDaySummaries.delete(job.key);
+        }
+        job.resolve(summary);
+      };
+      // The day may have changed while this request waited its turn.
+      const dayEntries = getEntriesForDay(job.dateKey);
+      if (fingerprintDayEntries(dayEntries) !== job.fingerprint) {
+        finish(null);
+        continue;
       }
-    });
+      runningDaySummaries++;
+      generateDaySummary(job.dateKey, dayEntries)
+        .catch(err => {
+          console.error('Day summary failed', err);
+          return null;
+        })
+        .then(result => {
+          runningDaySummaries--;
+          let summary = null;
+          if (!result) {
+            failedDaySummaries.add(job.fingerprint);
+          } else if (fingerprintDayEntries(getEntriesForDay(job.dateKey)) === job.fingerprint) {
+            summary = { fingerprint: job.fingerprint, ...result, createdAt: Date.now() };
+            saveDaySummary(job.key, summary);
+          }
+          finish(summary);
+          runDaySummaryQueue();
+        });
+    }
   }
 
-  const entryTextEl = document.getElementById('entryText');
-  if (entryTextEl) {
-    entryTextEl.addEventListener('input', updateMoodSuggestion);
+  /**
+   * Show the full summary for the day the timeline is filtered to, when
+   * that day has enough entries to be summarised.
+   */
+  function renderDaySummaryPanel() {
+    const panel = document.getElementById('daySummaryPanel');
+    if (!panel) return;
+    const dateKey = filterDate ? new Date(filterDate) : null;
+    const dayEntries = dateKey ? getEntriesForDay(dateKey) : [];
+    panel.hidden = dayEntries.length < DAY_SUMMARY_MIN_ENTRIES;
+    if (panel.hidden) return;
+    document.getElementById('daySummaryDate').textContent =
+      dateKey.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    const headlineEl = document.getElementById('daySummaryHeadline');
+    const textEl = document.getElementById('daySummaryText');
+    const regenerateBtn = document.getElementById('regenerateDaySummaryBtn');
+    const summary = getDaySummary(dateKey, dayEntries);
+    const fingerprint = fingerprintDayEntries(dayEntries);
+    const pending = !summary && !failedDaySummaries.has(fingerprint);
+    headlineEl.textContent = summary ? summary.headline : describeDayLocally(dayEntries);
+    if (summary) {
+      textEl.textContent = summary.text;
+    } else if (pending) {
+      textEl.textContent = 'Summarising this day…';
+    } else {
+      textEl.textContent = 'No AI summary is available for this day. Check the AI settings, then try again.';
+    }
+    if (regenerateBtn) {
+      regenerateBtn.disabled = pending;
+      regenerateBtn.textContent = summary ? 'Regenerate' : 'Try again';
+    }
+    if (pending) requestDaySummary(dateKey, dayEntries).then(renderDaySummaryPanel);
   }
 
-  function initCalendar() {
-    currentCalendarDate.setDate(1);
+  // Discard the selected day's summary (or its failed attempt) and ask again.
+  function regenerateDaySummary() {
+    if (!filterDate) return;
+    const dateKey = new Date(filterDate);
+    const dayEntries = getEntriesForDay(dateKey);
+    delete daySummaries[toDateInputValue(dateKey)];
+    queueSecureItemWrite('m2mDaySummaries', JSON.stringify(daySummaries));
+    failedDaySummaries.delete(fingerprintDayEntries(dayEntries));
+    renderDaySummaryPanel();
     updateCalendar();
   }
 
+  document.getElementById('regenerateDaySummaryBtn')?.addEventListener('click', regenerateDaySummary);
+
+  /**
+   * Filter the timeline to one day, or clear the filter when that day is
+   * already selected. An empty day in the past opens the journal instead.
+   */
+  function selectCalendarDay(dateKey, dayEntries) {
+    if (dayEntries.length === 0 && dateKey.getTime() <= Date.now()) {
+      openJournalForDate(dateKey);
+      return;
+    }
+    if (filterDate && new Date(filterDate).toDateString() === dateKey.toDateString()) {
+      filterDate = null;
+    } else {
+      filterDate = dateKey;
+    }
+    applyFilters();
+  }
+
+  function createCalendarDayCell(dateKey, dayEntries) {
+    const cell = document.createElement('div');
+    cell.className = 'day';
+    const num = document.createElement('div');
+    num.className = 'date-number';
+    num.textContent = calendarView === 'week'
+      ? dateKey.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })
+      : dateKey.getDate();
+    cell.appendChild(num);
+    const dayMoods = dayEntries.flatMap(e => e.moods);
+    const uniqueMoods = Array.from(new Set(dayMoods.map(m => m.name)));
+    // Tint the day with its moods blended by intensity.
+    const blended = getAverageColorForMoods(dayMoods);
+    if (blended) {
+      cell.style.background = hexToRgba(blended, 0.18);
+    }
+    if (calendarView === 'week' && dayEntries.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'week-entries';
+      dayEntries.slice().sort((a, b) => a.timestamp - b.timestamp).forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${formatEntryMoods(entry.moods)}: ${entry.text.length > 60 ? `${entry.text.slice(0, 60)}…` : entry.text}`;
+        list.appendChild(item);
+      });
+      cell.appendChild(list);
+    }
+    if (uniqueMoods.length > 0) {
+      const indicatorsContainer = document.createElement('div');
+      indicatorsContainer.className = 'mood-indicators';
+      uniqueMoods.slice(0, 3).forEach(moodName => {
+        const moodObj = moodList.find(m => m.name === moodName);
+        if (moodObj) {
+          const dot = document.createElement('div');
+          dot.className = 'mood-dot';
+          dot.style.background = moodObj.color;
+          indicatorsContainer.appendChild(dot);
+        }
+      });
+      cell.appendChild(indicatorsContainer);
+    }
+    if (dayEntries.length >= DAY_SUMMARY_MIN_ENTRIES) {
+      const textEl = document.createElement('div');
+      textEl.className = 'feeling-text';
+      const showSummary = summary => {
+        textEl.textContent = summary ? summary.headline : describeDayLocally(dayEntries);
+        cell.title = summary ? summary.text : textEl.textContent;
+      };
+      const summary = getDaySummary(dateKey, dayEntries);
+      showSummary(summary);
+      if (!summary) {
+        requestDaySummary(dateKey, dayEntries).then(result => {
+          if (result) showSummary(result);
+        });
+      }
+      cell.appendChild(textEl);
+    }
+    cell.addEventListener('click', () => selectCalendarDay(dateKey, dayEntries));
+    return cell;
+  }
+
   function updateCalendar() {
     const grid = document.getElementById('calendarGrid');
     const monthLabel = document.getElementById('calendarMonthLabel');
     if (!grid || !monthLabel) return;
     grid.innerHTML = '';
+    grid.className = `calendar-grid ${calendarView}-view`;
+    syncCalendarControls();
+    renderDaySummaryPanel();
+    const byDay = groupEntriesByDay(entries);
+    if (calendarView === 'year') {
+      renderYearHeatmap(grid, byDay);
+      return;
+    }
+    if (calendarView === 'week') {
+      const start = startOfBucket(currentCalendarDate, 'week');
+      const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+      monthLabel.textContent = `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${end.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+      for (let i = 0; i < 7; i++) {
+        const dateKey = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        grid.appendChild(createCalendarDayCell(dateKey, byDay.get(dateKey.toDateString()) || []));
+      }
+      return;
+    }
     const year = currentCalendarDate.getFullYear();
     const month = currentCalendarDate.getMonth();
     const firstDay = new Date(year, month, 1);
     const daysInMonth = new Date(year, month + 1, 0).getDate();
     const startDayIndex = firstDay.getDay();
-    monthLabel.textContent = currentCalendarDate.toLocaleString(undefined, { month: 'long', year: 'numeric' });
+    monthLabel.textContent = firstDay.toLocaleString(undefined, { month: 'long', year: 'numeric' });
     for (let i = 0; i < startDayIndex; i++) {
       const blank = document.createElement('div');
       blank.className = 'day empty';
@@ -801,56 +4021,7 @@
     }
     for (let day = 1; day <= daysInMonth; day++) {
       const dateKey = new Date(year, month, day);
-      const cell = document.createElement('div');
-      cell.className = 'day';
-      const num = document.createElement('div');
-      num.className = 'date-number';
-      num.textContent = day;
-      cell.appendChild(num);
-      const dateString = dateKey.toDateString();
-      const dayMoods = entries
-        .filter(e => new Date(e.timestamp).toDateString() === dateString)
-        .map(e => e.mood);
-      const uniqueMoods = Array.from(new Set(dayMoods));
-      if (uniqueMoods.length > 0) {
-        const indicatorsContainer = document.createElement('div');
-        indicatorsContainer.className = 'mood-indicators';
-        uniqueMoods.slice(0, 3).forEach(moodName => {
-          const moodObj = moodList.find(m => m.name === moodName);
-          if (moodObj) {
-            const dot = document.createElement('div');
-            dot.className = 'mood-dot';
-            dot.style.background = moodObj.color;
-            indicatorsContainer.appendChild(dot);
-          }
-        });
-        cell.appendChild(indicatorsContainer);
-      }
-      if (dayMoods.length >= 4) {
-        generateMixtureFeelingForDate(dateString).then(feeling => {
-          let phrase = feeling;
-          if (!phrase) {
-            const summary = uniqueMoods.join(', ');
-            phrase = `Mixed feelings: ${summary}`;
-          }
-          if (phrase) {
-            cell.title = phrase;
-            const textEl = document.createElement('div');
-            textEl.className = 'feeling-text';
-            textEl.textContent = phrase;
-            cell.appendChild(textEl);
-          }
-        });
-      }
-      cell.addEventListener('click', () => {
-        if (filterDate && new Date(filterDate).toDateString() === dateString) {
-          filterDate = null;
-        } else {
-          filterDate = dateKey;
-        }
-        renderEntries();
-      });
-      grid.appendChild(cell);
+      grid.appendChild(createCalendarDayCell(dateKey, byDay.get(dateKey.toDateString()) || []));
     }
     const cellsCount = startDayIndex + daysInMonth;
     const remainder = cellsCount % 7;
@@ -863,12 +4034,203 @@
     }
   }
 
-  function getDominantMoodColorForDate(dateString) {
-    const dayEntries = entries.filter(e => new Date(e.timestamp).toDateString() === dateString);
+  function syncCalendarControls() {
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.view === calendarView));
+    });
+    const unit = calendarView === 'month' ? 'month' : calendarView;
+    document.getElementById('prevMonthBtn')?.setAttribute('aria-label', `Previous ${unit}`);
+    document.getElementById('nextMonthBtn')?.setAttribute('aria-label', `Next ${unit}`);
+    const yearSelect = document.getElementById('calendarYearSelect');
+    const colorMode = document.getElementById('heatmapColorMode');
+    if (colorMode) colorMode.hidden = calendarView !== 'year';
+    if (!yearSelect) return;
+    yearSelect.hidden = calendarView !== 'year';
+    const thisYear = new Date().getFullYear();
+    const shownYear = currentCalendarDate.getFullYear();
+    const firstYear = Math.min(shownYear, thisYear, ...entries.map(e => new Date(e.timestamp).getFullYear()));
+    yearSelect.innerHTML = '';
+    for (let y = Math.max(shownYear, thisYear); y >= firstYear; y--) {
+      const option = document.createElement('option');
+      option.value = y;
+      option.textContent = y;
+      yearSelect.appendChild(option);
+    }
+    yearSelect.value = String(shownYear);
+  }
+
+  function setCalendarView(view) {
+    if (!CALENDAR_VIEWS.includes(view)) return;
+    const today = new Date();
+    // Keep looking at today when it is inside the period already shown.
+    if (view !== 'month' && currentCalendarDate.getFullYear() === today.getFullYear() &&
+        (calendarView === 'year' || currentCalendarDate.getMonth() === today.getMonth())) {
+      currentCalendarDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+    if (view === 'month') currentCalendarDate.setDate(1);
+    calendarView = view;
+    localStorage.setItem('m2mCalendarView', view);
+    updateCalendar();
+  }
+
+  // Move the calendar back (-1) or forward (1) by one month, week or year.
+  function shiftCalendar(step) {
+    if (calendarView === 'week') {
+      currentCalendarDate.setDate(currentCalendarDate.getDate() + step * 7);
+    } else if (calendarView === 'year') {
+      currentCalendarDate.setFullYear(currentCalendarDate.getFullYear() + step);
+    } else {
+      currentCalendarDate.setMonth(currentCalendarDate.getMonth() + step);
+      currentCalendarDate.setDate(1);
+    }
+    updateCalendar();
+  }
+
+  function getHeatmapColorMode() {
+    return localStorage.getItem('m2mHeatmapColorMode') === 'blend' ? 'blend' : 'dominant';
+  }
+
+  function describeCalendarDay(dateKey, dayEntries) {
+    const date = dateKey.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    if (!dayEntries.length) return `${date}: no entries`;
+    const names = Array.from(new Set(dayEntries.flatMap(getEntryMoodNames)));
+    return `${date}: ${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'} (${names.join(', ')})`;
+  }
+
+  /**
+   * Render the year as a heatmap: one column per week, one row per weekday.
+   * Each day is coloured by its dominant mood (or all its moods blended),
+   * more strongly the more entries it has. Arrow keys move between days,
+   * Enter opens the day in the timeline.
+   */
+  function renderYearHeatmap(grid, byDay) {
+    const year = currentCalendarDate.getFullYear();
+    document.getElementById('calendarMonthLabel').textContent = String(year);
+    const first = new Date(year, 0, 1);
+    const offset = first.getDay();
+    const colorMode = getHeatmapColorMode();
+    const wrapper = document.createElement('div');
+    wrapper.className = 'heatmap';
+
+    const months = document.createElement('div');
+    months.className = 'heatmap-months';
+    for (let m = 0; m < 12; m++) {
+      const label = document.createElement('span');
+      const dayOfYear = Math.round((new Date(year, m, 1) - first) / DAY_MS);
+      label.style.gridColumn = String(Math.floor((offset + dayOfYear) / 7) + 1);
+      label.textContent = new Date(year, m, 1).toLocaleDateString(undefined, { month: 'short' });
+      months.appendChild(label);
+    }
+
+    const weekdays = document.createElement('div');
+    weekdays.className = 'heatmap-weekdays';
+    for (let d = 0; d < 7; d++) {
+      const label = document.createElement('span');
+      // Label every other row to keep the column narrow.
+      label.textContent = d % 2 ? new Date(2023, 0, 1 + d).toLocaleDateString(undefined, { weekday: 'short' }) : '';
+      weekdays.appendChild(label);
+    }
+
+    const days = document.createElement('div');
+    days.className = 'heatmap-days';
+    days.setAttribute('role', 'group');
+    days.setAttribute('aria-label', `Mood heatmap for ${year}. Use the arrow keys to move between days.`);
+    for (let i = 0; i < offset; i++) {
+      const blank = document.createElement('span');
+      blank.className = 'heatmap-day empty';
+      days.appendChild(blank);
+    }
+    const tooltip = document.createElement('div');
+    tooltip.className = 'heatmap-tooltip';
+    tooltip.hidden = true;
+    const focusKey = currentCalendarDate.toDateString();
+    const todayKey = new Date().toDateString();
+    for (let date = new Date(first); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+      const dateKey = new Date(date);
+      const key = dateKey.toDateString();
+      const dayEntries = byDay.get(key) || [];
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'heatmap-day';
+      cell.dataset.date = toDateInputValue(dateKey);
+      cell.tabIndex = key === focusKey ? 0 : -1;
+      if (key === todayKey) cell.classList.add('today');
+      if (filterDate && new Date(filterDate).toDateString() === key) cell.classList.add('selected');
+      const label = describeCalendarDay(dateKey, dayEntries);
+      cell.setAttribute('aria-label', label);
+      if (dayEntries.length) {
+        const color = colorMode === 'blend'
+          ? getAverageColorForMoods(dayEntries.flatMap(e => e.moods))
+          : getDominantMoodColorForDate(key, dayEntries);
+        if (color) cell.style.background = hexToRgba(color, Math.min(1, 0.35 + dayEntries.length * 0.2));
+      }
+      const showTooltip = () => {
+        tooltip.textContent = label;
+        tooltip.hidden = false;
+        tooltip.style.left = `${cell.offsetLeft + days.offsetLeft}px`;
+        tooltip.style.top = `${cell.offsetTop + days.offsetTop - 28}px`;
+      };
+      cell.addEventListener('mouseenter', showTooltip);
+      cell.addEventListener('focus', showTooltip);
+      cell.addEventListener('mouseleave', () => { tooltip.hidden = true; });
+      cell.addEventListener('blur', () => { tooltip.hidden = true; });
+      cell.addEventListener('click', () => {
+        currentCalendarDate = dateKey;
+        selectCalendarDay(dateKey, dayEntries);
+        if (!dayEntries.length) return;
+        // Redraw to mark the selected day, keeping keyboard focus on it.
+        updateCalendar();
+        focusHeatmapDay(dateKey);
+        document.getElementById('timeline')?.scrollIntoView({ behavior: 'smooth' });
+      });
+      days.appendChild(cell);
+    }
+    // Without a focusable day (another year was shown), start on 1 January.
+    if (!days.querySelector('.heatmap-day[tabindex="0"]')) {
+      days.querySelector('.heatmap-day:not(.empty)').tabIndex = 0;
+    }
+    days.addEventListener('keydown', evt => {
+      const current = evt.target.closest('.heatmap-day');
+      if (!current?.dataset.date) return;
+      const moves = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+      const date = new Date(dayStart(current.dataset.date));
+      if (evt.key in moves) {
+        date.setDate(date.getDate() + moves[evt.key]);
+      } else if (evt.key === 'Home') {
+        date.setMonth(0, 1);
+      } else if (evt.key === 'End') {
+        date.setMonth(11, 31);
+      } else {
+        return;
+      }
+      evt.preventDefault();
+      focusHeatmapDay(date);
+    });
+
+    wrapper.append(months, weekdays, days, tooltip);
+    grid.appendChild(wrapper);
+  }
+
+  // Move keyboard focus to a day, switching year when it lies outside the one shown.
+  function focusHeatmapDay(date) {
+    const changedYear = date.getFullYear() !== currentCalendarDate.getFullYear();
+    currentCalendarDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (changedYear) updateCalendar();
+    const grid = document.getElementById('calendarGrid');
+    grid.querySelectorAll('.heatmap-day[tabindex="0"]').forEach(el => { el.tabIndex = -1; });
+    const cell = grid.querySelector(`.heatmap-day[data-date="${toDateInputValue(date)}"]`);
+    if (!cell) return;
+    cell.tabIndex = 0;
+    cell.focus();
+  }
+
+  function getDominantMoodColorForDate(dateString, dayEntries = entries.filter(e => new Date(e.timestamp).toDateString() === dateString)) {
     if (!dayEntries.length) return null;
     const counts = {};
     dayEntries.forEach(e => {
-      counts[e.mood] = (counts[e.mood] || 0) + 1;
+      e.moods.forEach(m => {
+        counts[m.name] = (counts[m.name] || 0) + m.intensity;
+      });
     });
     let topMood = null;
     let topCount = 0;
@@ -882,95 +4244,620 @@
     return moodObj ? moodObj.color : null;
   }
 
-  function updateWordCloud() {
-    const cloud = document.getElementById('wordCloud');
-    if (!cloud) return;
-    cloud.innerHTML = '';
-    const stopwords = new Set(['the','and','to','is','it','in','a','of','on','for','with','that','this','today','i','was','my','me','at','had','have','has','you','we']);
-    const freq = {};
-    entries.forEach(entry => {
-      const words = entry.text.toLowerCase().match(/\b[a-z]{3,}\b/g);
-      if (words) {
-        words.forEach(w => {
-          if (!stopwords.has(w)) freq[w] = (freq[w] || 0) + 1;
-        });
+  function updateWordCloud() {
+    const cloud = document.getElementById('wordCloud');
+    if (!cloud) return;
+    cloud.innerHTML = '';
+    const stopwords = new Set(['the','and','to','is','it','in','a','of','on','for','with','that','this','today','i','was','my','me','at','had','have','has','you','we']);
+    const freq = {};
+    entries.forEach(entry => {
+      const words = entry.text.toLowerCase().match(/\b[a-z]{3,}\b/g);
+      if (words) {
+        words.forEach(w => {
+          if (!stopwords.has(w)) freq[w] = (freq[w] || 0) + 1;
+        });
+      }
+    });
+    const entriesArr = Object.entries(freq).sort((a,b) => b[1] - a[1]).slice(0, 20);
+    if (entriesArr.length === 0) return;
+    const maxCount = entriesArr[0][1];
+    const colors = ['#6c63ff', '#f77754', '#ff9a56', '#f0c808', '#55c57a', '#00bcd4', '#e94e77'];
+    entriesArr.forEach(([word, count]) => {
+      const span = document.createElement('span');
+      span.textContent = word;
+      const size = 1 + (count / maxCount) * 2;
+      span.style.fontSize = size + 'rem';
+      span.style.color = colors[Math.floor(Math.random() * colors.length)];
+      span.style.top = Math.random() * 80 + '%';
+      span.style.left = Math.random() * 80 + '%';
+      span.style.transform = `rotate(${(Math.random() * 30 - 15).toFixed(2)}deg)`;
+      cloud.appendChild(span);
+    });
+  }
+
+  function loadColorTheme() {
+    const saved = localStorage.getItem('m2mColorTheme') || 'default';
+    document.body.classList.remove('theme-neon', 'theme-sunset');
+    if (saved === 'neon') {
+      document.body.classList.add('theme-neon');
+    } else if (saved === 'sunset') {
+      document.body.classList.add('theme-sunset');
+    }
+    const buttons = document.querySelectorAll('#themePicker .theme-btn');
+    buttons.forEach(btn => {
+      btn.classList.remove('active');
+      if (btn.getAttribute('data-theme') === saved) {
+        btn.classList.add('active');
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const themeButtons = document.querySelectorAll('#themePicker .theme-btn');
+    themeButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        const theme = btn.getAttribute('data-theme');
+        localStorage.setItem('m2mColorTheme', theme);
+        loadColorTheme();
+      });
+    });
+  });
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const prevBtn = document.getElementById('prevMonthBtn');
+    const nextBtn = document.getElementById('nextMonthBtn');
+    if (prevBtn) {
+      prevBtn.addEventListener('click', () => shiftCalendar(-1));
+    }
+    if (nextBtn) {
+      nextBtn.addEventListener('click', () => shiftCalendar(1));
+    }
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+      btn.addEventListener('click', () => setCalendarView(btn.dataset.view));
+    });
+    document.getElementById('calendarYearSelect')?.addEventListener('change', evt => {
+      currentCalendarDate = new Date(Number(evt.target.value), currentCalendarDate.getMonth(), currentCalendarDate.getDate());
+      updateCalendar();
+    });
+    const colorMode = document.getElementById('heatmapColorMode');
+    if (colorMode) {
+      colorMode.value = getHeatmapColorMode();
+      colorMode.addEventListener('change', () => {
+        localStorage.setItem('m2mHeatmapColorMode', colorMode.value);
+        updateCalendar();
+      });
+    }
+  });
+
+  /*
+    Reflection reports. A report looks back over one week or month: how
+    often each mood came up, how that compares with the period before, the
+    best and hardest days by valence, the top keywords (counted the same
+    way as the trending words), journaling streaks and, optionally, a short
+    narrative from the AI. Reports are snapshots: they are saved as
+    generated under m2mReports, with the journal's other private values,
+    and can be reopened or exported as a printable HTML page later.
+  */
+  const REPORT_HISTORY_LIMIT = 50;
+  const REPORT_NARRATIVE_ENTRY_CHARS = 200;
+  const REPORT_NARRATIVE_MAX_ENTRIES = 30;
+
+  let savedReports = [];
+  let activeReportId = null;
+
+  async function loadReports() {
+    try {
+      const saved = await readSecureItem('m2mReports');
+      const list = saved ? JSON.parse(saved) : [];
+      savedReports = Array.isArray(list) ? list : [];
+    } catch (err) {
+      console.warn('Could not read saved reports', err);
+      savedReports = [];
+    }
+    activeReportId = savedReports[0]?.id || null;
+  }
+
+  function saveReports() {
+    queueSecureItemWrite('m2mReports', JSON.stringify(savedReports));
+  }
+
+  function describeReportPeriod(period, start) {
+    return period === 'month'
+      ? start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+      : `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  function formatValence(value) {
+    if (value === null || value === undefined) return 'n/a';
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+  }
+
+  // "+3", "-0.40" or "no change"; null when there is nothing to compare.
+  function formatChange(current, previous, digits = 0) {
+    if (current === null || previous === null || previous === undefined) return null;
+    const diff = Math.round((current - previous) * 100) / 100;
+    if (diff === 0) return 'no change';
+    return `${diff > 0 ? '+' : '-'}${Math.abs(diff).toFixed(digits)}`;
+  }
+
+  // Mood counts and average valence for a list of entries.
+  function summarisePeriod(list) {
+    const tally = tallyMoods(list);
+    const distribution = Object.entries(tally)
+      .map(([name, t]) => ({
+        name,
+        color: moodList.find(m => m.name === name)?.color || colorForMoodName(name),
+        entries: t.entries,
+        intensity: t.intensity
+      }))
+      .sort((a, b) => b.entries - a.entries || b.intensity - a.intensity);
+    return { entryCount: list.length, valence: averageValence(list), distribution };
+  }
+
+  /**
+   * The best and hardest days of a period by average valence, as
+   * { date, valence, entryCount, moods }. Hardest is null when only one
+   * day was journaled or every day scored the same.
+   */
+  function findBestAndHardestDays(list) {
+    const days = Array.from(groupEntriesByDay(list).values()).map(dayEntries => ({
+      date: toDateInputValue(new Date(dayEntries[0].timestamp)),
+      valence: averageValence(dayEntries),
+      entryCount: dayEntries.length,
+      moods: summarisePeriod(dayEntries).distribution.slice(0, 3).map(m => m.name)
+    })).filter(day => day.valence !== null);
+    if (days.length === 0) return { best: null, hardest: null };
+    const sorted = days.slice().sort((a, b) => b.valence - a.valence || a.date.localeCompare(b.date));
+    const best = sorted[0];
+    const hardest = sorted[sorted.length - 1];
+    return { best, hardest: hardest.valence < best.valence ? hardest : null };
+  }
+
+  /**
+   * Journaling streaks for the period [start, end): the longest run of
+   * consecutive days with entries inside it, and the run that was going
+   * at its last day (or today, for the current period), which may have
+   * started earlier.
+   */
+  function computeJournalStreaks(start, end) {
+    const journaled = new Set(entries.map(e => new Date(e.timestamp).toDateString()));
+    let longest = 0;
+    let run = 0;
+    for (let d = new Date(start); d < end; d.setDate(d.getDate() + 1)) {
+      run = journaled.has(d.toDateString()) ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+    const lastDay = new Date(Math.min(end.getTime() - 1, Date.now()));
+    let current = 0;
+    for (let d = startOfBucket(lastDay, 'day'); journaled.has(d.toDateString()); d.setDate(d.getDate() - 1)) {
+      current++;
+    }
+    return { longest, current };
+  }
+
+  /**
+   * Ask the AI for a short narrative of the period from the report's
+   * figures and excerpts of its entries. Resolves to text or null.
+   */
+  async function generateReportNarrative(report, list) {
+    const excerpts = list
+      .slice()
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-REPORT_NARRATIVE_MAX_ENTRIES)
+      .map(e => {
+        const text = e.text.length > REPORT_NARRATIVE_ENTRY_CHARS ? `${e.text.slice(0, REPORT_NARRATIVE_ENTRY_CHARS)}…` : e.text;
+        return `- ${new Date(e.timestamp).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}, ${formatEntryMoods(e.moods)}: ${text}`;
+      });
+    const unit = report.period;
+    const facts = [
+      `Entries: ${report.entryCount} on ${report.daysJournaled} of ${report.totalDays} days (previous ${unit}: ${report.previous.entryCount}).`,
+      `Average valence from -2 to +2: ${formatValence(report.valence)} (previous ${unit}: ${formatValence(report.previous.valence)}).`,
+      `Moods by number of entries: ${report.distribution.map(m => `${m.name} ${m.entries}`).join(', ')}.`,
+      report.best ? `Best day: ${report.best.date}. ${report.hardest ? `Hardest day: ${report.hardest.date}.` : ''}` : '',
+      report.keywords.length ? `Frequent words: ${report.keywords.map(([word]) => word).join(', ')}.` : '',
+      `Longest journaling streak: ${report.streaks.longest} days.`
+    ].filter(Boolean);
+    let system = `You write a short reflection on one ${unit} of a private mood journal for the person who wrote it. In the second person and in one or two paragraphs, describe how the ${unit} went, what changed since the previous ${unit} and any patterns worth noticing, using only the figures and entries given. Be warm but honest; no lists, headings or advice.`;
+    if (list.some(e => detectCrisisLanguage(e.text).length > 0)) system += ` ${CRISIS_SUMMARY_INSTRUCTION}`;
+    try {
+      return await aiComplete({
+        system,
+        messages: [{ role: 'user', content: `${report.label}\n${facts.join('\n')}\n\nEntries:\n${excerpts.join('\n')}` }]
+      });
+    } catch (err) {
+      console.error('Report narrative failed', err);
+    }
+    return null;
+  }
+
+  /**
+   * Build the report for the week or month containing `date`. Returns
+   * null when there are no entries in that period.
+   */
+  async function generateReport(period, date, { narrative = false } = {}) {
+    const start = startOfBucket(date, period);
+    const end = addBuckets(start, period, 1);
+    const previousStart = addBuckets(start, period, -1);
+    const inRange = (from, to) => entries.filter(e => e.timestamp >= from.getTime() && e.timestamp < to.getTime());
+    const list = inRange(start, end);
+    if (list.length === 0) return null;
+    const current = summarisePeriod(list);
+    const previous = summarisePeriod(inRange(previousStart, start));
+    const { best, hardest } = findBestAndHardestDays(list);
+    const report = {
+      id: createEntryId(),
+      period,
+      start: toDateInputValue(start),
+      end: toDateInputValue(addBuckets(end, 'day', -1)),
+      label: describeReportPeriod(period, start),
+      createdAt: Date.now(),
+      entryCount: current.entryCount,
+      daysJournaled: groupEntriesByDay(list).size,
+      totalDays: Math.round((end - start) / DAY_MS),
+      valence: current.valence,
+      distribution: current.distribution,
+      previous: {
+        label: describeReportPeriod(period, previousStart),
+        entryCount: previous.entryCount,
+        valence: previous.valence,
+        moods: Object.fromEntries(previous.distribution.map(m => [m.name, m.entries]))
+      },
+      best,
+      hardest,
+      keywords: countKeywords(list, 10),
+      streaks: computeJournalStreaks(start, end),
+      narrative: null
+    };
+    if (narrative) report.narrative = await generateReportNarrative(report, list);
+    return report;
+  }
+
+  function formatReportDay(dateInput) {
+    return new Date(dayStart(dateInput)).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * The body of a report as HTML, shared by the in-app view and the
+   * printable export.
+   */
+  function renderReportBody(report) {
+    const unit = report.period;
+    const range = `${new Date(dayStart(report.start)).toLocaleDateString()} – ${new Date(dayStart(report.end)).toLocaleDateString()}`;
+    const maxEntries = Math.max(...report.distribution.map(m => m.entries), 1);
+    const distribution = report.distribution.map(m => `
+          <li>
+            <span class="report-mood">${escapeHtml(m.name)}</span>
+            <span class="report-bar"><span style="width: ${Math.round(m.entries / maxEntries * 100)}%; background: ${escapeHtml(m.color)}"></span></span>
+            <span class="report-count">${m.entries} ${m.entries === 1 ? 'entry' : 'entries'}</span>
+          </li>`).join('');
+    const moodNames = Array.from(new Set([...report.distribution.map(m => m.name), ...Object.keys(report.previous.moods)]));
+    const comparisonRows = moodNames.map(name => {
+      const now = report.distribution.find(m => m.name === name)?.entries || 0;
+      const before = report.previous.moods[name] || 0;
+      return `<tr><td>${escapeHtml(name)}</td><td>${now}</td><td>${before}</td><td>${formatChange(now, before)}</td></tr>`;
+    }).join('');
+    const entryChange = formatChange(report.entryCount, report.previous.entryCount);
+    const valenceChange = formatChange(report.valence, report.previous.valence, 2);
+    const describeDay = day => `${escapeHtml(formatReportDay(day.date))} – valence ${formatValence(day.valence)}, ${day.entryCount} ${day.entryCount === 1 ? 'entry' : 'entries'} (${escapeHtml(day.moods.join(', '))})`;
+    const keywords = report.keywords.length
+      ? report.keywords.map(([word, count]) => `<span class="word">${escapeHtml(word)} (${count})</span>`).join(' ')
+      : 'Not enough text to pick out keywords.';
+    return `
+      <header class="report-header">
+        <h3>${escapeHtml(report.label)}</h3>
+        <p class="report-meta">${escapeHtml(range)} · generated ${escapeHtml(formatDate(report.createdAt))}</p>
+      </header>
+      <p class="report-summary">${report.entryCount} ${report.entryCount === 1 ? 'entry' : 'entries'} on ${report.daysJournaled} of ${report.totalDays} days · average valence ${formatValence(report.valence)}</p>
+      ${report.narrative ? `<section><h4>Reflection</h4><p class="report-narrative">${escapeHtml(report.narrative).replace(/\n+/g, '<br>')}</p></section>` : ''}
+      <section>
+        <h4>Mood distribution</h4>
+        <ul class="report-distribution">${distribution}
+        </ul>
+      </section>
+      <section>
+        <h4>Compared with the previous ${unit}</h4>
+        <p>Entries: ${report.entryCount} vs ${report.previous.entryCount} (${entryChange}). Average valence: ${formatValence(report.valence)} vs ${formatValence(report.previous.valence)}${valenceChange ? ` (${valenceChange})` : ''}.</p>
+        <table class="report-comparison">
+          <thead><tr><th>Mood</th><th>This ${unit}</th><th>Previous ${unit}</th><th>Change</th></tr></thead>
+          <tbody>${comparisonRows}</tbody>
+        </table>
+      </section>
+      <section>
+        <h4>Best and hardest days</h4>
+        <ul class="report-days">
+          ${report.best ? `<li><strong>Best:</strong> ${describeDay(report.best)}</li>` : ''}
+          ${report.hardest ? `<li><strong>Hardest:</strong> ${describeDay(report.hardest)}</li>` : '<li>No day stood out as harder than the others.</li>'}
+        </ul>
+      </section>
+      <section>
+        <h4>Top keywords</h4>
+        <p class="report-keywords">${keywords}</p>
+      </section>
+      <section>
+        <h4>Journaling streaks</h4>
+        <p>Longest run this ${unit}: ${report.streaks.longest} ${report.streaks.longest === 1 ? 'day' : 'days'}. Streak at the end of the ${unit}: ${report.streaks.current} ${report.streaks.current === 1 ? 'day' : 'days'}.</p>
+      </section>`;
+  }
+
+  // A standalone page with its own styles so it prints the same anywhere.
+  function buildReportHtml(report) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.label)} – MoodToMemories report</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #222; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h3 { font-size: 1.6rem; margin: 0; }
+  h4 { margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #ddd; }
+  .report-meta { color: #666; margin-top: 0.25rem; }
+  .report-distribution, .report-days { list-style: none; padding: 0; }
+  .report-distribution li { display: grid; grid-template-columns: 8rem 1fr 6rem; gap: 0.5rem; align-items: center; margin: 0.25rem 0; }
+  .report-bar { background: #eee; border-radius: 4px; height: 0.75rem; overflow: hidden; }
+  .report-bar span { display: block; height: 100%; }
+  .report-comparison { border-collapse: collapse; width: 100%; }
+  .report-comparison th, .report-comparison td { border-bottom: 1px solid #eee; padding: 0.25rem 0.5rem; text-align: left; }
+  .report-keywords .word { display: inline-block; margin: 0 0.5rem 0.25rem 0; }
+  @media print {
+    body { margin: 0; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    section { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+${renderReportBody(report)}
+</body>
+</html>
+`;
+  }
+
+  function renderSavedReports() {
+    const list = document.getElementById('savedReportsList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (savedReports.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'saved-reports-empty';
+      empty.textContent = 'No saved reports yet.';
+      list.appendChild(empty);
+    }
+    savedReports.forEach(report => {
+      const item = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'saved-report';
+      btn.classList.toggle('active', report.id === activeReportId);
+      btn.setAttribute('aria-current', report.id === activeReportId ? 'true' : 'false');
+      btn.innerHTML = `<strong>${escapeHtml(report.label)}</strong><span>${report.entryCount} ${report.entryCount === 1 ? 'entry' : 'entries'} · ${escapeHtml(formatDate(report.createdAt))}</span>`;
+      btn.addEventListener('click', () => {
+        activeReportId = report.id;
+        renderReports();
+      });
+      item.appendChild(btn);
+      list.appendChild(item);
+    });
+  }
+
+  function renderReportView() {
+    const view = document.getElementById('reportView');
+    if (!view) return;
+    const report = savedReports.find(r => r.id === activeReportId);
+    if (!report) {
+      view.innerHTML = '<p class="report-empty">Choose a week or month and generate a report to look back on it.</p>';
+      return;
+    }
+    view.innerHTML = `
+      <div class="report-actions">
+        <button type="button" class="secondary-btn" data-report-action="export"><i class="fas fa-file-export"></i> Export printable page</button>
+        <button type="button" class="secondary-btn" data-report-action="delete"><i class="fas fa-trash"></i> Delete</button>
+      </div>
+      ${renderReportBody(report)}`;
+    view.querySelector('[data-report-action="export"]').addEventListener('click', () => {
+      downloadFile(buildReportHtml(report), `mood-report-${report.period}-${report.start}.html`, 'text/html');
+    });
+    view.querySelector('[data-report-action="delete"]').addEventListener('click', () => {
+      if (!confirm(`Delete the report for ${report.label}?`)) return;
+      savedReports = savedReports.filter(r => r.id !== report.id);
+      activeReportId = savedReports[0]?.id || null;
+      saveReports();
+      renderReports();
+    });
+  }
+
+  function renderReports() {
+    renderSavedReports();
+    renderReportView();
+  }
+
+  const reportForm = document.getElementById('reportForm');
+  if (reportForm) {
+    const reportDate = document.getElementById('reportDate');
+    if (reportDate && !reportDate.value) reportDate.value = toDateInputValue(new Date());
+    reportForm.addEventListener('submit', async evt => {
+      evt.preventDefault();
+      const period = document.getElementById('reportPeriod').value === 'month' ? 'month' : 'week';
+      if (!isDateInput(reportDate.value)) {
+        alert('Choose a day in the week or month to report on.');
+        return;
+      }
+      const submitBtn = reportForm.querySelector('button[type="submit"]');
+      submitBtn.disabled = true;
+      const view = document.getElementById('reportView');
+      const wantsNarrative = document.getElementById('reportNarrative')?.checked;
+      if (view && wantsNarrative) view.innerHTML = '<p class="report-empty">Writing your report…</p>';
+      try {
+        const report = await generateReport(period, new Date(dayStart(reportDate.value)), { narrative: wantsNarrative });
+        if (!report) {
+          alert(`There are no entries in that ${period}.`);
+          return;
+        }
+        // A newer report for the same period replaces the old one.
+        savedReports = [report, ...savedReports.filter(r => !(r.period === report.period && r.start === report.start))]
+          .slice(0, REPORT_HISTORY_LIMIT);
+        activeReportId = report.id;
+        saveReports();
+        if (wantsNarrative && !report.narrative) showToast('The AI narrative could not be written, so the report was saved without it.');
+      } finally {
+        submitBtn.disabled = false;
+        renderReports();
       }
     });
-    const entriesArr = Object.entries(freq).sort((a,b) => b[1] - a[1]).slice(0, 20);
-    if (entriesArr.length === 0) return;
-    const maxCount = entriesArr[0][1];
-    const colors = ['#6c63ff', '#f77754', '#ff9a56', '#f0c808', '#55c57a', '#00bcd4', '#e94e77'];
-    entriesArr.forEach(([word, count]) => {
-      const span = document.createElement('span');
-      span.textContent = word;
-      const size = 1 + (count / maxCount) * 2;
-      span.style.fontSize = size + 'rem';
-      span.style.color = colors[Math.floor(Math.random() * colors.length)];
-      span.style.top = Math.random() * 80 + '%';
-      span.style.left = Math.random() * 80 + '%';
-      span.style.transform = `rotate(${(Math.random() * 30 - 15).toFixed(2)}deg)`;
-      cloud.appendChild(span);
+  }
+
+  /*
+    Prompt card in the journal form. "Need a prompt?" shows the day's
+    prompt for the chosen category and moods (kept in `m2mDailyPrompt` so it
+    stays put across reloads), and "Another" asks for a new one. An entry
+    saved while a prompt is showing records it as `entry.prompt`.
+  */
+  let activePrompt = null;
+  const DEFAULT_ENTRY_PLACEHOLDER = document.getElementById('entryText')?.placeholder || '';
+
+  function renderPromptCategoryOptions() {
+    const select = document.getElementById('promptCategory');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '<option value="">Suited to my mood</option>';
+    Object.keys(getPromptLibrary()).forEach(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = formatPromptCategory(category);
+      select.appendChild(option);
     });
+    select.value = current && select.querySelector(`option[value="${CSS.escape(current)}"]`) ? current : '';
+    const datalist = document.getElementById('promptCategoryOptions');
+    if (datalist) {
+      datalist.innerHTML = '';
+      Object.keys(getPromptLibrary()).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        datalist.appendChild(option);
+      });
+    }
   }
 
-  function loadColorTheme() {
-    const saved = localStorage.getItem('m2mColorTheme') || 'default';
-    document.body.classList.remove('theme-neon', 'theme-sunset');
-    if (saved === 'neon') {
-      document.body.classList.add('theme-neon');
-    } else if (saved === 'sunset') {
-      document.body.classList.add('theme-sunset');
+  function showPrompt(prompt) {
+    activePrompt = prompt;
+    const card = document.getElementById('promptCard');
+    const entryText = document.getElementById('entryText');
+    if (!card) return;
+    card.hidden = !prompt;
+    if (entryText) entryText.placeholder = prompt ? prompt.text : DEFAULT_ENTRY_PLACEHOLDER;
+    if (!prompt) return;
+    card.querySelector('.prompt-category').textContent = formatPromptCategory(prompt.category);
+    document.getElementById('promptText').textContent = prompt.text;
+    entryText?.focus();
+  }
+
+  /**
+   * Show a prompt for the chosen category and moods. Today's prompt is
+   * reused for the same choice unless `fresh` asks for a new one.
+   */
+  async function requestPrompt(fresh = false) {
+    const category = document.getElementById('promptCategory')?.value || '';
+    const moods = getPromptMoods();
+    const key = `${category}|${moods.map(m => m.name).sort().join(',')}`;
+    const today = toDateInputValue(new Date());
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem('m2mDailyPrompt') || 'null');
+    } catch (err) {
+      saved = null;
+    }
+    if (!fresh && saved && saved.date === today && saved.key === key && saved.prompt?.text) {
+      showPrompt(saved.prompt);
+      return;
+    }
+    const button = document.getElementById(fresh ? 'anotherPromptBtn' : 'needPromptBtn');
+    if (button) button.disabled = true;
+    try {
+      const prompt = await generatePrompt({ category, moods });
+      localStorage.setItem('m2mDailyPrompt', JSON.stringify({ date: today, key, prompt }));
+      showPrompt(prompt);
+    } finally {
+      if (button) button.disabled = false;
     }
-    const buttons = document.querySelectorAll('#themePicker .theme-btn');
-    buttons.forEach(btn => {
-      btn.classList.remove('active');
-      if (btn.getAttribute('data-theme') === saved) {
-        btn.classList.add('active');
-      }
-    });
   }
 
-  document.addEventListener('DOMContentLoaded', () => {
-    const themeButtons = document.querySelectorAll('#themePicker .theme-btn');
-    themeButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const theme = btn.getAttribute('data-theme');
-        localStorage.setItem('m2mColorTheme', theme);
-        loadColorTheme();
-      });
-    });
-  });
+  document.getElementById('needPromptBtn')?.addEventListener('click', () => requestPrompt(false));
+  document.getElementById('anotherPromptBtn')?.addEventListener('click', () => requestPrompt(true));
+  document.getElementById('dismissPromptBtn')?.addEventListener('click', () => showPrompt(null));
+  renderPromptCategoryOptions();
 
-  document.addEventListener('DOMContentLoaded', () => {
-    const prevBtn = document.getElementById('prevMonthBtn');
-    const nextBtn = document.getElementById('nextMonthBtn');
-    if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
-        currentCalendarDate.setDate(1);
-        updateCalendar();
-      });
+  // The prompt library dialog lists custom prompts and adds new ones.
+  function renderCustomPromptList() {
+    const list = document.getElementById('customPromptList');
+    if (!list) return;
+    list.innerHTML = '';
+    const custom = getCustomPrompts();
+    if (!custom.length) {
+      list.innerHTML = '<li class="lock-status">You haven’t added any prompts yet.</li>';
+      return;
     }
-    if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() + 1);
-        currentCalendarDate.setDate(1);
-        updateCalendar();
+    custom.forEach((prompt, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${formatPromptCategory(prompt.category)}: ${prompt.text}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'secondary-btn';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove prompt "${prompt.text}"`);
+      remove.addEventListener('click', () => {
+        saveCustomPrompts(getCustomPrompts().filter((_, i) => i !== index));
+        renderCustomPromptList();
+        renderPromptCategoryOptions();
       });
-    }
-  });
+      item.append(label, remove);
+      list.appendChild(item);
+    });
+  }
+
+  const promptLibraryModal = document.getElementById('promptLibraryModal');
+  if (promptLibraryModal) {
+    document.getElementById('managePromptsBtn')?.addEventListener('click', () => {
+      renderCustomPromptList();
+      promptLibraryModal.classList.add('open');
+    });
+    document.getElementById('closePromptLibraryBtn')?.addEventListener('click', () => {
+      promptLibraryModal.classList.remove('open');
+    });
+    document.getElementById('addPromptBtn')?.addEventListener('click', () => {
+      const categoryInput = document.getElementById('newPromptCategory');
+      const textInput = document.getElementById('newPromptText');
+      const category = categoryInput.value.trim().toLowerCase();
+      const text = textInput.value.trim();
+      if (!category || !text) {
+        alert('Enter a category and the prompt text.');
+        return;
+      }
+      saveCustomPrompts([...getCustomPrompts(), { category, text }]);
+      textInput.value = '';
+      renderCustomPromptList();
+      renderPromptCategoryOptions();
+    });
+  }
 
   entryForm.addEventListener('submit', event => {
     event.preventDefault();
     const formData = new FormData(entryForm);
-    const mood = formData.get('mood');
+    const moods = getFormMoods();
     const text = formData.get('entryText').trim();
-    if (!mood || !text) return;
+    if (moods.length === 0) {
+      alert('Choose at least one mood.');
+      return;
+    }
+    if (!text) return;
+    const timestamp = getEntryTimestamp();
+    if (timestamp === null) return;
     const entry = {
-      mood,
+      id: createEntryId(),
+      moods,
       text,
-      timestamp: Date.now()
+      timestamp
     };
+    if (activePrompt) entry.prompt = { text: activePrompt.text, category: activePrompt.category };
     entries.push(entry);
     saveEntries();
     renderEntries();
@@ -980,8 +4867,26 @@
     updateCalendar();
     // Celebration effects disabled.
     entryForm.reset();
+    document.querySelectorAll('.mood-options .mood.selected').forEach(l => l.classList.remove('selected'));
+    renderMoodIntensities();
+    resetEntryWhen();
+    updateMoodSuggestion();
+    showPrompt(null);
+    // The entry is kept either way; support is offered alongside it.
+    if (detectCrisisLanguage(text).length > 0) showSupportPanel();
   });
 
+  // Icon chosen in the "Create a new mood" dialog.
+  let newMoodIcon = DEFAULT_MOOD_ICON;
+  function resetNewMoodIconPicker() {
+    const container = document.getElementById('newMoodIconPicker');
+    if (!container) return;
+    newMoodIcon = DEFAULT_MOOD_ICON;
+    container.innerHTML = '';
+    container.appendChild(createIconPicker(newMoodIcon, icon => { newMoodIcon = icon; }));
+  }
+  resetNewMoodIconPicker();
+
   const addMoodBtn = document.getElementById('addMoodBtn');
   const moodModal = document.getElementById('moodModal');
   const saveMoodBtn = document.getElementById('saveMoodBtn');
@@ -996,38 +4901,671 @@
     saveMoodBtn?.addEventListener('click', () => {
       const name = document.getElementById('newMoodName').value.trim();
       const color = document.getElementById('newMoodColor').value;
+      const keywords = parseMoodKeywords(document.getElementById('newMoodKeywords')?.value);
       if (!name) return;
-      addCustomMood(name, color);
+      addCustomMood(name, color, keywords, newMoodIcon);
       document.getElementById('newMoodName').value = '';
       document.getElementById('newMoodColor').value = '#ffb74d';
+      if (document.getElementById('newMoodKeywords')) document.getElementById('newMoodKeywords').value = '';
+      resetNewMoodIconPicker();
       moodModal.classList.remove('open');
     });
   }
 
-  const newAffirmationBtn = document.getElementById('newAffirmationBtn');
-  if (newAffirmationBtn) {
-    newAffirmationBtn.addEventListener('click', () => {
-      loadDailyAffirmation();
+  const moodKeywordsModal = document.getElementById('moodKeywordsModal');
+  if (moodKeywordsModal) {
+    document.getElementById('moodKeywordsBtn')?.addEventListener('click', () => {
+      renderMoodKeywordsForm();
+      moodKeywordsModal.classList.add('open');
+    });
+    document.getElementById('cancelMoodKeywordsBtn')?.addEventListener('click', () => {
+      moodKeywordsModal.classList.remove('open');
+    });
+    document.getElementById('saveMoodKeywordsBtn')?.addEventListener('click', () => {
+      document.querySelectorAll('#moodKeywordsList input').forEach(input => {
+        const mood = moodList.find(m => m.name === input.dataset.mood);
+        if (mood) mood.keywords = parseMoodKeywords(input.value);
+      });
+      saveMoodList();
+      updateMoodSuggestion();
+      moodKeywordsModal.classList.remove('open');
+    });
+  }
+
+  const newAffirmationBtn = document.getElementById('newAffirmationBtn');
+  if (newAffirmationBtn) {
+    newAffirmationBtn.addEventListener('click', () => {
+      loadDailyAffirmation(true);
+    });
+  }
+
+  // Version of the backup document written by Export. Bump it whenever the
+  // shape changes and add a step to backupMigrations for the old version.
+  const BACKUP_SCHEMA_VERSION = 3;
+
+  // localStorage keys saved in the `preferences` section of a backup. The
+  // AI provider keys are deliberately left out so backups never carry
+  // secrets, and so are the AI settings: a restored provider or base URL
+  // would decide where those keys and the journal are sent. Older backups
+  // that include m2mAiSettings have it ignored on restore.
+  const backupPreferenceKeys = ['m2mTheme', 'm2mColorTheme', 'm2mTrashRetentionDays', 'm2mChatTokenBudget', 'm2mTrendSettings', 'm2mCalendarView', 'm2mHeatmapColorMode', 'm2mCustomPrompts', 'm2mAffirmations', 'm2mPinnedAffirmation'];
+
+  /**
+   * Upgrade steps for older backups, keyed by the version they upgrade
+   * from. Version 1 is the original export: a bare array of entries.
+   * Version 2 entries carry a single `mood` string instead of `moods`.
+   */
+  const backupMigrations = {
+    1: data => ({
+      schemaVersion: 2,
+      entries: Array.isArray(data) ? data : (data.entries || []),
+      moods: [],
+      preferences: {}
+    }),
+    2: data => ({
+      ...data,
+      schemaVersion: 3,
+      entries: (data.entries || []).map(raw => {
+        if (!raw || typeof raw !== 'object') return raw;
+        const entry = { ...raw };
+        migrateEntryMoods(entry);
+        if (Array.isArray(entry.revisions)) {
+          entry.revisions = entry.revisions.map(rev => {
+            const copy = { ...rev };
+            migrateEntryMoods(copy);
+            return copy;
+          });
+        }
+        return entry;
+      })
+    })
+  };
+
+  function buildBackup() {
+    const preferences = {};
+    backupPreferenceKeys.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value !== null) preferences[key] = value;
+    });
+    return {
+      app: 'mood-to-memories',
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries,
+      moods: moodList,
+      preferences
+    };
+  }
+
+  /**
+   * Bring a parsed backup file up to BACKUP_SCHEMA_VERSION by running the
+   * migration steps in order. Files without a version are treated as
+   * version 1 when they are a bare array, otherwise as a current backup
+   * with missing sections. Throws if the file cannot be read as a backup.
+   */
+  function upgradeBackup(data) {
+    let doc = data;
+    let version;
+    if (Array.isArray(doc)) {
+      version = 1;
+    } else if (doc && typeof doc === 'object' && Array.isArray(doc.entries)) {
+      version = Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : BACKUP_SCHEMA_VERSION;
+    } else {
+      throw new Error('No journal entries were found in that file.');
+    }
+    if (version > BACKUP_SCHEMA_VERSION) {
+      throw new Error('This backup was made by a newer version of the app.');
+    }
+    while (version < BACKUP_SCHEMA_VERSION) {
+      const migrate = backupMigrations[version];
+      if (!migrate) throw new Error(`Cannot upgrade backups from version ${version}.`);
+      doc = migrate(doc);
+      version = doc.schemaVersion;
+    }
+    return {
+      schemaVersion: version,
+      entries: Array.isArray(doc.entries) ? doc.entries : [],
+      moods: Array.isArray(doc.moods) ? doc.moods.map(normalizeImportedMood).filter(Boolean) : [],
+      preferences: doc.preferences && typeof doc.preferences === 'object' ? doc.preferences : {}
+    };
+  }
+
+  /**
+   * Wrap a backup in an encrypted envelope with its own salt, so it can be
+   * restored in another browser with just the backup's passphrase.
+   */
+  async function encryptBackup(backup, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    return {
+      app: 'mood-to-memories',
+      encrypted: true,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+      payload: await encryptJson(key, backup)
+    };
+  }
+
+  async function decryptBackup(envelope, passphrase) {
+    if (!envelope.kdf || !envelope.payload) throw new Error('That encrypted backup is incomplete.');
+    const key = await deriveKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    try {
+      return await decryptJson(key, envelope.payload);
+    } catch (err) {
+      throw new Error('That passphrase does not open this backup.');
+    }
+  }
+
+  function normalizeImportedMood(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    const color = typeof raw.color === 'string' && /^#[0-9a-f]{6}$/i.test(raw.color)
+      ? raw.color
+      : colorForMoodName(raw.name.trim());
+    const icon = typeof raw.icon === 'string' && /^fa-[a-z0-9-]+$/.test(raw.icon) ? raw.icon : 'fa-heart';
+    const mood = { name: raw.name.trim(), icon, color };
+    // Optional settings from the mood manager, kept only when they are valid.
+    if (raw.hidden === true) mood.hidden = true;
+    if (Number.isInteger(raw.valence) && raw.valence >= -2 && raw.valence <= 2) mood.valence = raw.valence;
+    if (Array.isArray(raw.keywords)) {
+      const keywords = parseMoodKeywords(raw.keywords.filter(k => typeof k === 'string').join(','));
+      if (keywords.length) mood.keywords = Array.from(new Set(keywords));
+    }
+    return mood;
+  }
+
+  function downloadFile(contents, filename, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function csvField(value) {
+    const str = String(value ?? '');
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * One row per entry: ISO date, the strongest mood with its colour and
+   * intensity, every mood as "Name:intensity" pairs, and the text. Fields
+   * are quoted following RFC 4180 so commas and line breaks survive.
+   */
+  function buildCsvExport(list) {
+    const rows = [['date', 'mood', 'mood_color', 'intensity', 'all_moods', 'text']];
+    list.forEach(e => {
+      const primary = getPrimaryMood(e);
+      const color = moodList.find(m => m.name === primary.name)?.color || '';
+      const allMoods = e.moods.map(m => `${m.name}:${m.intensity}`).join('; ');
+      rows.push([new Date(e.timestamp).toISOString(), primary.name, color, primary.intensity, allMoods, e.text]);
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Group entries (oldest first) into local calendar days, matching the
+   * way the calendar grid buckets them.
+   */
+  function groupEntriesByDay(list) {
+    const days = new Map();
+    list.slice().sort((a, b) => a.timestamp - b.timestamp).forEach(e => {
+      const key = new Date(e.timestamp).toDateString();
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(e);
+    });
+    return days;
+  }
+
+  function buildMarkdownExport(list) {
+    const lines = ['# Mood-To-Memories Journal', ''];
+    groupEntriesByDay(list).forEach(dayEntries => {
+      const heading = new Date(dayEntries[0].timestamp).toLocaleDateString(undefined, {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+      });
+      lines.push(`## ${heading}`, '');
+      dayEntries.forEach(e => {
+        const time = new Date(e.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        lines.push(`### ${time} · ${formatEntryMoods(e.moods)}`, '');
+        if (e.prompt) lines.push(`> Prompt: ${e.prompt.text}`, '');
+        lines.push(e.text, '');
+      });
+    });
+    return lines.join('\n');
+  }
+
+  function icsEscape(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // iCalendar lines may not exceed 75 octets; longer ones continue on the
+  // next line after a single leading space. Count UTF-8 bytes so emoji and
+  // accented text never split mid-character.
+  function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const size = encoder.encode(ch).length;
+      if (bytes + size > 74) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += ch;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  function icsDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  }
+
+  /**
+   * One all-day event per day, summarising the moods logged that day the
+   * way the calendar grid does.
+   */
+  function buildIcsExport(list) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mood-To-Memories//Mood Calendar//EN',
+      'CALSCALE:GREGORIAN'
+    ];
+    groupEntriesByDay(list).forEach(dayEntries => {
+      const day = new Date(dayEntries[0].timestamp);
+      const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+      const counts = {};
+      dayEntries.forEach(e => {
+        e.moods.forEach(m => { counts[m.name] = (counts[m.name] || 0) + 1; });
+      });
+      const summary = Object.entries(counts)
+        .map(([mood, count]) => (count > 1 ? `${mood} ×${count}` : mood))
+        .join(', ');
+      const description = dayEntries.map(e => {
+        const time = new Date(e.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        return `${time} ${formatEntryMoods(e.moods)}: ${e.text}`;
+      }).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${icsDate(day)}@mood-to-memories`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(day)}`,
+        `DTEND;VALUE=DATE:${icsDate(next)}`,
+        icsFold(`SUMMARY:${icsEscape(`Moods: ${summary}`)}`),
+        icsFold(`DESCRIPTION:${icsEscape(description)}`),
+        'END:VEVENT'
+      );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    // Debounce typing so each keystroke doesn't re-render the timeline.
+    let searchDebounce = null;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchDebounce);
+      searchDebounce = setTimeout(() => {
+        searchQuery = searchInput.value;
+        applyFilters();
+      }, 150);
+    });
+  }
+  document.getElementById('searchFrom')?.addEventListener('change', evt => {
+    searchFrom = evt.target.value;
+    applyFilters();
+  });
+  document.getElementById('searchTo')?.addEventListener('change', evt => {
+    searchTo = evt.target.value;
+    applyFilters();
+  });
+  document.getElementById('searchPrompt')?.addEventListener('change', evt => {
+    searchPrompt = evt.target.value;
+    applyFilters();
+  });
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash === buildSearchHash()) return;
+    if (applySearchStateFromHash()) {
+      applyFilters();
+      updateChart();
+    }
+  });
+
+  const exportBtn = document.getElementById('exportBtn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      if (entries.length === 0) {
+        alert('No entries to export.');
+        return;
+      }
+      const format = document.getElementById('exportFormat')?.value || 'json';
+      if (format === 'json-encrypted') {
+        const passphrase = await askPassphrase({ title: 'Choose a passphrase for this backup', confirm: true });
+        if (passphrase === null) return;
+        const dataStr = JSON.stringify(await encryptBackup(buildBackup(), passphrase), null, 2);
+        downloadFile(dataStr, 'mood-to-memories-backup.encrypted.json', 'application/json');
+        return;
+      }
+      if (format === 'json') {
+        // The JSON backup is always complete so it can restore the journal.
+        const dataStr = JSON.stringify(buildBackup(), null, 2);
+        downloadFile(dataStr, 'mood-to-memories-backup.json', 'application/json');
+        return;
+      }
+      const list = entries.filter(getActiveFilterPredicate());
+      if (list.length === 0) {
+        alert('No entries match the current filters.');
+        return;
+      }
+      if (format === 'csv') {
+        downloadFile(buildCsvExport(list), 'mood-entries.csv', 'text/csv');
+      } else if (format === 'markdown') {
+        downloadFile(buildMarkdownExport(list), 'mood-journal.md', 'text/markdown');
+      } else if (format === 'ics') {
+        downloadFile(buildIcsExport(list), 'mood-calendar.ics', 'text/calendar');
+      }
+    });
+  }
+
+  // Import state: the parsed backup waiting for confirmation in the preview.
+  let pendingImport = null;
+
+  /**
+   * Read the moods of an imported entry or revision as a list of
+   * { name, intensity }, accepting the older single `mood` string too.
+   */
+  function normalizeImportedMoods(raw) {
+    let moods = [];
+    if (Array.isArray(raw.moods)) {
+      moods = raw.moods
+        .filter(m => m && typeof m.name === 'string' && m.name.trim())
+        .map(m => ({ name: m.name.trim(), intensity: clampIntensity(m.intensity) }));
+    } else if (typeof raw.mood === 'string' && raw.mood.trim()) {
+      moods = [{ name: raw.mood.trim(), intensity: DEFAULT_MOOD_INTENSITY }];
+    }
+    const seen = new Set();
+    return moods.filter(m => {
+      if (seen.has(m.name)) return false;
+      seen.add(m.name);
+      return true;
+    });
+  }
+
+  /**
+   * Turn one raw entry from a backup file into a clean entry object, or
+   * return null when it cannot be used. Older exports may store the date
+   * as a string or under a different key, so those are accepted too.
+   */
+  function normalizeImportedEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const moods = normalizeImportedMoods(raw);
+    if (moods.length === 0) return null;
+    let timestamp = raw.timestamp ?? raw.date ?? raw.createdAt;
+    if (typeof timestamp === 'string') {
+      timestamp = /^\d+$/.test(timestamp) ? Number(timestamp) : Date.parse(timestamp);
+    }
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp <= 0) return null;
+    const text = typeof raw.text === 'string' ? raw.text : '';
+    const entry = { moods, text, timestamp };
+    if (typeof raw.id === 'string' && raw.id) entry.id = raw.id;
+    if (Array.isArray(raw.revisions)) {
+      const revisions = raw.revisions
+        .filter(r => r && typeof r.text === 'string' && Number.isFinite(r.savedAt))
+        .map(r => ({ moods: normalizeImportedMoods(r), text: r.text, savedAt: r.savedAt }))
+        .filter(r => r.moods.length > 0);
+      if (revisions.length > 0) entry.revisions = revisions;
+    }
+    if (Number.isFinite(raw.editedAt)) entry.editedAt = raw.editedAt;
+    if (raw.prompt && typeof raw.prompt.text === 'string' && raw.prompt.text) {
+      entry.prompt = { text: raw.prompt.text, category: typeof raw.prompt.category === 'string' ? raw.prompt.category : '' };
+    }
+    return entry;
+  }
+
+  /**
+   * Compare imported entries against the current journal. Imported entries
+   * are matched to existing ones by ID, or by timestamp for older files
+   * without IDs. A match with the same mood and text is a duplicate; any
+   * other match is a conflict.
+   */
+  function classifyImportedEntries(rawEntries) {
+    const result = { fresh: [], duplicates: [], conflicts: [], invalid: 0 };
+    const seen = new Set();
+    rawEntries.forEach(raw => {
+      const entry = normalizeImportedEntry(raw);
+      if (!entry) {
+        result.invalid++;
+        return;
+      }
+      const key = `${entry.timestamp}|${JSON.stringify(entry.moods)}|${entry.text}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const sameId = entry.id ? entries.find(e => e.id === entry.id) : null;
+      const matches = sameId ? [sameId] : entries.filter(e => e.timestamp === entry.timestamp);
+      if (matches.some(e => sameMoods(e.moods, entry.moods) && e.text === entry.text)) {
+        result.duplicates.push(entry);
+      } else if (matches.length > 0) {
+        result.conflicts.push({ entry, existing: matches[0] });
+      } else {
+        result.fresh.push(entry);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Pick a stable colour for a mood recreated from an import, so the same
+   * name always gets the same colour.
+   */
+  function colorForMoodName(name) {
+    const palette = ['#6c63ff', '#f77754', '#ff9a56', '#f0c808', '#55c57a', '#00bcd4', '#e94e77', '#ffb74d'];
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) {
+      hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+    }
+    return palette[hash % palette.length];
+  }
+
+  function renderImportPreview(result) {
+    const summaryEl = document.getElementById('importSummary');
+    const listEl = document.getElementById('importPreviewList');
+    if (!summaryEl || !listEl) return;
+    let summary = `${result.fresh.length} new, ${result.duplicates.length} duplicate, ${result.conflicts.length} conflicting`;
+    if (result.invalid) summary += `, ${result.invalid} skipped as invalid`;
+    summaryEl.textContent = summary + '.';
+    listEl.innerHTML = '';
+    const rows = [
+      ...result.fresh.map(entry => ({ entry, status: 'new' })),
+      ...result.conflicts.map(c => ({ entry: c.entry, status: 'conflict' })),
+      ...result.duplicates.map(entry => ({ entry, status: 'duplicate' }))
+    ];
+    const maxRows = 50;
+    rows.slice(0, maxRows).forEach(({ entry, status }) => {
+      const li = document.createElement('li');
+      li.className = `import-row ${status}`;
+      const preview = entry.text.length > 60 ? entry.text.slice(0, 60) + '…' : entry.text;
+      li.innerHTML = `
+        <span class="import-status">${status}</span>
+        <span class="import-date">${formatDate(entry.timestamp)}</span>
+        <strong>${escapeHtml(formatEntryMoods(entry.moods))}</strong>
+        <span class="import-text">${escapeHtml(preview)}</span>
+      `;
+      listEl.appendChild(li);
+    });
+    if (rows.length > maxRows) {
+      const more = document.createElement('li');
+      more.className = 'import-row more';
+      more.textContent = `…and ${rows.length - maxRows} more`;
+      listEl.appendChild(more);
+    }
+  }
+
+  /**
+   * Restore a backup into the journal. In 'merge' mode the classified
+   * entries are merged into `entries` and missing moods are added; in
+   * 'replace' mode the current entries, moods and preferences are swapped
+   * for the backup's. Any mood an entry uses that is still missing from
+   * `moodList` afterwards is recreated.
+   */
+  function applyImport(pending, restoreMode, conflictMode) {
+    const { backup, result } = pending;
+    let added = 0;
+    if (restoreMode === 'replace') {
+      entries = [...result.fresh, ...result.duplicates, ...result.conflicts.map(c => c.entry)];
+      if (backup.moods.length > 0) moodList = backup.moods.slice();
+      applyPreferences(backup.preferences);
+      added = entries.length;
+    } else {
+      const toAdd = result.fresh.slice();
+      result.conflicts.forEach(({ entry, existing }) => {
+        if (conflictMode === 'replace') {
+          reviseEntry(existing, entry);
+        } else if (conflictMode === 'both') {
+          toAdd.push(entry);
+        }
+      });
+      entries.push(...toAdd);
+      backup.moods.forEach(mood => {
+        if (!moodList.some(m => m.name === mood.name)) moodList.push(mood);
+      });
+      added = toAdd.length;
+    }
+    ensureEntryIds(entries);
+    entries.forEach(e => {
+      getEntryMoodNames(e).forEach(name => {
+        if (!moodList.some(m => m.name === name)) {
+          moodList.push({ name, icon: 'fa-heart', color: colorForMoodName(name) });
+        }
+      });
+    });
+    saveEntries();
+    saveMoodList();
+    renderMoodOptions();
+    refreshEntryViews();
+    return added;
+  }
+
+  /**
+   * Write restored preferences back to localStorage and re-apply the
+   * dark mode and colour theme they describe.
+   */
+  function applyPreferences(preferences) {
+    backupPreferenceKeys.forEach(key => {
+      if (typeof preferences[key] === 'string') {
+        localStorage.setItem(key, preferences[key]);
+      }
+    });
+    const isDark = localStorage.getItem('m2mTheme') === 'dark';
+    document.body.classList.toggle('dark', isDark);
+    themeToggle.textContent = isDark ? '☀️' : '🌙';
+    loadColorTheme();
+  }
+
+  function updateImportModeNote() {
+    const restoreMode = document.getElementById('importRestoreMode')?.value || 'merge';
+    const noteEl = document.getElementById('importModeNote');
+    const conflictMode = document.getElementById('importConflictMode');
+    if (conflictMode) {
+      conflictMode.disabled = restoreMode === 'replace' || !pendingImport || pendingImport.result.conflicts.length === 0;
+    }
+    if (noteEl) {
+      noteEl.textContent = restoreMode === 'replace'
+        ? `Replacing removes your ${entries.length} current entries and restores the backup's moods and theme.`
+        : '';
+    }
+  }
+
+  const importBtn = document.getElementById('importBtn');
+  const importFile = document.getElementById('importFile');
+  const importModal = document.getElementById('importModal');
+  if (importBtn && importFile && importModal) {
+    importBtn.addEventListener('click', () => {
+      importFile.value = '';
+      importFile.click();
+    });
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files && importFile.files[0];
+      if (!file) return;
+      let backup;
+      try {
+        let data = JSON.parse(await file.text());
+        if (data && data.encrypted) {
+          const passphrase = await askPassphrase({ title: 'Enter the passphrase for this backup' });
+          if (passphrase === null) return;
+          data = await decryptBackup(data, passphrase);
+        }
+        backup = upgradeBackup(data);
+      } catch (err) {
+        console.error('Could not read import file', err);
+        alert(err instanceof SyntaxError ? 'That file is not a valid journal backup.' : err.message);
+        return;
+      }
+      pendingImport = { backup, result: classifyImportedEntries(backup.entries) };
+      renderImportPreview(pendingImport.result);
+      updateImportModeNote();
+      importModal.classList.add('open');
+    });
+    document.getElementById('importRestoreMode')?.addEventListener('change', updateImportModeNote);
+    document.getElementById('cancelImportBtn')?.addEventListener('click', () => {
+      pendingImport = null;
+      importModal.classList.remove('open');
+    });
+    document.getElementById('confirmImportBtn')?.addEventListener('click', () => {
+      if (!pendingImport) return;
+      const restoreMode = document.getElementById('importRestoreMode')?.value || 'merge';
+      const conflictMode = document.getElementById('importConflictMode')?.value || 'keep';
+      if (restoreMode === 'replace' && entries.length > 0 &&
+          !confirm('Replace your whole journal with this backup? This cannot be undone.')) {
+        return;
+      }
+      applyImport(pendingImport, restoreMode, conflictMode);
+      pendingImport = null;
+      importModal.classList.remove('open');
     });
   }
 
-  const exportBtn = document.getElementById('exportBtn');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      if (entries.length === 0) {
-        alert('No entries to export.');
+  const trashBtn = document.getElementById('trashBtn');
+  const trashModal = document.getElementById('trashModal');
+  if (trashBtn && trashModal) {
+    trashBtn.addEventListener('click', () => {
+      purgeTrash();
+      updateTrashButton();
+      renderTrash();
+      trashModal.classList.add('open');
+    });
+    document.getElementById('closeTrashBtn')?.addEventListener('click', () => {
+      trashModal.classList.remove('open');
+    });
+    document.getElementById('emptyTrashBtn')?.addEventListener('click', () => {
+      if (trash.length === 0 || !confirm('Permanently delete everything in the trash?')) return;
+      trash = [];
+      saveTrash();
+      updateTrashButton();
+      renderTrash();
+    });
+    document.getElementById('trashRetentionDays')?.addEventListener('change', evt => {
+      const days = parseInt(evt.target.value, 10);
+      if (!Number.isFinite(days) || days < 1) {
+        evt.target.value = getTrashRetentionDays();
         return;
       }
-      const dataStr = JSON.stringify(entries, null, 2);
-      const blob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'mood-entries.json';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      localStorage.setItem('m2mTrashRetentionDays', String(days));
+      purgeTrash();
+      updateTrashButton();
+      renderTrash();
     });
   }
 
@@ -1084,18 +5622,26 @@
     }
   });
 
+  // Aborts the chat reply that is streaming in, if any.
+  let chatAbortController = null;
+
   chatForm.addEventListener('submit', async event => {
     event.preventDefault();
+    if (chatAbortController) return;
     const message = chatInput.value.trim();
     if (!message) return;
+    // Only the latest failed reply can be retried.
+    chatMessages.querySelectorAll('.chat-retry-btn').forEach(btn => btn.remove());
     appendMessage(message, 'user');
     chatInput.value = '';
     await sendChatMessage(message);
   });
 
-  function appendMessage(text, author) {
-    const msg = document.createElement('div');
-    msg.className = `message ${author}`;
+  document.getElementById('chatStopBtn')?.addEventListener('click', () => {
+    chatAbortController?.abort();
+  });
+
+  function formatChatHtml(text) {
     let html = text;
     html = html
       .replace(/&/g, '&amp;')
@@ -1103,63 +5649,1054 @@
       .replace(/>/g, '&gt;');
     html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
     html = html.replace(/\n/g, '<br>');
-    msg.innerHTML = html;
+    return html;
+  }
+
+  function appendMessage(text, author) {
+    const msg = document.createElement('div');
+    msg.className = `message ${author}`;
+    msg.innerHTML = formatChatHtml(text);
     chatMessages.appendChild(msg);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return msg;
+  }
+
+  // Swap the send button for Stop while a reply is streaming.
+  function setChatBusy(busy) {
+    const sendBtn = chatForm.querySelector('button[type="submit"]');
+    const stopBtn = document.getElementById('chatStopBtn');
+    if (sendBtn) sendBtn.hidden = busy;
+    if (stopBtn) stopBtn.hidden = !busy;
   }
 
   async function sendChatMessage(userMessage) {
-    conversationHistory.push({ role: 'user', content: userMessage });
+    const thread = getActiveThread();
+    addThreadMessage(thread, 'user', userMessage);
+    if (detectCrisisLanguage(userMessage).length > 0) appendChatSupportCard();
+    await requestChatReply();
+  }
+
+  // True when any of the user's last few messages in a thread read as a crisis.
+  function threadNeedsCare(thread) {
+    return thread.messages.filter(m => m.role === 'user').slice(-3)
+      .some(m => detectCrisisLanguage(m.content).length > 0);
+  }
+
+  /**
+   * Stream the assistant's reply to the active thread into a new bot
+   * bubble. The user's turn is already in the thread, so Retry can ask
+   * again without adding it twice.
+   */
+  async function requestChatReply() {
+    const thread = getActiveThread();
+    const provider = getAiProvider();
+    const needsCare = threadNeedsCare(thread);
+    if (isAiOffline()) {
+      // The support card already answers a crisis message.
+      if (needsCare) return;
+      const prompt = pickLocalPrompt('', getRecentMoodsForAffirmation(3)).text;
+      const reason = provider.offline ? 'AI replies are turned off in AI settings' : 'You\'re offline, so AI replies are paused';
+      const reply = `${reason}, so here is something to reflect on instead: ${prompt}`;
+      appendMessage(reply, 'bot');
+      // Saved like any reply so the thread keeps alternating turns.
+      addThreadMessage(thread, 'assistant', reply);
+      return;
+    }
+    // With journal sharing off, nothing from the journal goes in the prompt.
+    const share = thread.shareJournal !== false;
+    const recent = share ? getRecentMoodsForAffirmation(5) : [];
+    let contextPrompt;
+    if (recent && recent.length > 0) {
+      contextPrompt = `You are a friendly domain-specific journaling assistant. The user has recently logged the moods: ${describeMoodsForPrompt(recent)}. Intensity runs from 1 (mild) to ${MAX_MOOD_INTENSITY} (intense), so give the strongest feelings the most attention. Use these moods as cues to discuss their day, reflect positively on their emotions, and offer gentle suggestions for turning tough or overwhelmed feelings into meaningful actions. In your replies, help the user find more meaning and purpose in their life by encouraging self-discovery and intentional growth. Provide empathy, encouragement and constructive reflection without explicitly listing the moods.`;
+    } else {
+      contextPrompt = 'You are a friendly journaling assistant. The user seeks supportive, reflective guidance. Provide empathetic responses that encourage positive self-reflection, help them find meaning and purpose, and transform challenges into constructive actions.';
+    }
+    const apiKey = await getApiKey();
+    if (provider.keyRequired && !apiKey) {
+      appendMessage(`Error: No ${provider.label} API key provided. Add one in AI settings to use the chatbot.`, 'bot');
+      return;
+    }
+    const question = thread.messages.filter(m => m.role === 'user').pop()?.content || '';
+    const memories = share ? retrieveMemories(question) : [];
+    if (memories.length > 0) {
+      contextPrompt += `\n\n${describeMemoriesForPrompt(memories)}`;
+    } else if (share && entries.length > 0 && parseQuestionPeriod(question)) {
+      contextPrompt += '\n\nThe user has no journal entries from the period they are asking about.';
+    }
+    if (needsCare) contextPrompt += `\n\n${CRISIS_CARE_INSTRUCTION}`;
+    // Journal tools read the journal too, so they follow the sharing toggle.
+    const tools = share ? chatTools : [];
+    if (share) contextPrompt += `\n\n${describeChatToolsForPrompt()}`;
+    const citations = memories.map(e => e.id);
+    const { system, messages, firstIncluded } = buildChatRequest(thread, contextPrompt);
+    const bubble = appendMessage('', 'bot');
+    bubble.classList.add('typing');
+    bubble.innerHTML = '<span class="typing-dots" aria-label="Assistant is typing"><span></span><span></span><span></span></span>';
+    const controller = new AbortController();
+    chatAbortController = controller;
+    setChatBusy(true);
+    let streamed = '';
+    const onToken = token => {
+      streamed += token;
+      bubble.classList.remove('typing');
+      bubble.innerHTML = formatChatHtml(streamed);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    };
     try {
-      const apiKey = await getApiKey();
-      if (!apiKey) {
-        appendMessage('Error: No Gemini API key provided. Please refresh and enter a valid key to use the chatbot.', 'bot');
-        return;
+      const first = await aiStream({ system, messages, tools }, { apiKey, signal: controller.signal, onToken });
+      let reply = first.text;
+      let pendingWrites = 0;
+      if (first.toolCalls.length > 0) {
+        const outcome = runChatTools(first.toolCalls, thread, bubble);
+        pendingWrites = outcome.pendingWrites;
+        if (outcome.results.length > 0) {
+          // Send the results back so the model can answer in words. Entries
+          // awaiting confirmation have no result yet, so their calls are left
+          // out of the repeated turn.
+          if (streamed) onToken('\n\n');
+          const answered = first.toolCalls.filter(call => outcome.results.some(r => r.id === call.id));
+          const followUp = await aiStream({
+            system,
+            messages: [
+              ...messages,
+              { role: 'assistant', content: reply, toolCalls: answered },
+              ...outcome.results.map(r => ({ role: 'tool', toolCallId: r.id, name: r.name, content: r.result }))
+            ],
+            // Declared again so the calls above refer to known functions;
+            // any further calls in the answer are ignored.
+            tools
+          }, { apiKey, signal: controller.signal, onToken });
+          reply = reply ? `${reply}\n\n${followUp.text}` : followUp.text;
+        }
       }
-      const modelName = 'gemini-2.5-flash';
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-      const recent = getRecentMoodsForAffirmation(5);
-      let contextPrompt;
-      if (recent && recent.length > 0) {
-        const unique = Array.from(new Set(recent));
-        contextPrompt = `You are a friendly domain-specific journaling assistant. The user has recently logged the moods: ${unique.join(', ')}. Use these moods as cues to discuss their day, reflect positively on their emotions, and offer gentle suggestions for turning tough or overwhelmed feelings into meaningful actions. In your replies, help the user find more meaning and purpose in their life by encouraging self-discovery and intentional growth. Provide empathy, encouragement and constructive reflection without explicitly listing the moods.`;
+      reply = reply.trim() ||
+        (pendingWrites > 0 ? 'Please check the entry below before I save it.' : 'Sorry, I didn\'t catch that.');
+      bubble.classList.remove('typing');
+      bubble.innerHTML = formatChatHtml(reply);
+      appendCitations(bubble, citations);
+      addThreadMessage(thread, 'assistant', reply, { citations });
+    } catch (err) {
+      bubble.classList.remove('typing');
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before Stop so the thread matches the screen.
+        if (streamed.trim()) addThreadMessage(thread, 'assistant', streamed.trim(), { citations });
+        bubble.innerHTML = formatChatHtml(streamed.trimEnd());
+        const note = document.createElement('span');
+        note.className = 'chat-note';
+        note.textContent = streamed ? ' (stopped)' : 'Stopped.';
+        bubble.appendChild(note);
+        if (streamed.trim()) appendCitations(bubble, citations);
       } else {
-        contextPrompt = 'You are a friendly journaling assistant. The user seeks supportive, reflective guidance. Provide empathetic responses that encourage positive self-reflection, help them find meaning and purpose, and transform challenges into constructive actions.';
+        console.error(err);
+        showChatError(bubble);
       }
-      const contents = [];
-      contents.push({
-        role: 'user',
-        parts: [{ text: contextPrompt }]
+    } finally {
+      chatAbortController = null;
+      setChatBusy(false);
+    }
+    if (firstIncluded > (thread.summarizedCount || 0)) {
+      summarizeChatThread(thread, firstIncluded);
+    }
+  }
+
+  /**
+   * Turn a bot bubble into an error message with a Retry button.
+   */
+  function showChatError(bubble) {
+    bubble.classList.add('error');
+    bubble.textContent = 'Oops! Something went wrong while contacting the AI provider. ';
+    const retryBtn = document.createElement('button');
+    retryBtn.type = 'button';
+    retryBtn.className = 'chat-retry-btn';
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', () => {
+      if (chatAbortController) return;
+      bubble.remove();
+      requestChatReply();
+    });
+    bubble.appendChild(retryBtn);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  /*
+    Chat threads. Each conversation is saved as a record in the `chats`
+    store. Only the newest messages that fit the chat token budget are sent
+    with a request; older ones are folded into a running AI summary that
+    travels with the system prompt instead.
+  */
+  const DEFAULT_CHAT_TOKEN_BUDGET = 4000;
+  const MIN_CHAT_TOKEN_BUDGET = 500;
+  const DEFAULT_THREAD_TITLE = 'New conversation';
+  // Threads with a summary request in flight.
+  const summarizingThreads = new Set();
+
+  async function loadChatThreads() {
+    chatThreads = await loadRecords('chats');
+    chatThreads.sort((a, b) => b.updatedAt - a.updatedAt);
+    activeThreadId = chatThreads[0]?.id || null;
+  }
+
+  function saveChatThreads() {
+    persistRecords('chats', chatThreads);
+  }
+
+  function createChatThread() {
+    const now = Date.now();
+    const thread = {
+      id: createEntryId(),
+      title: DEFAULT_THREAD_TITLE,
+      autoTitle: true,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      summary: '',
+      summarizedCount: 0,
+      shareJournal: true
+    };
+    chatThreads.unshift(thread);
+    activeThreadId = thread.id;
+    saveChatThreads();
+    return thread;
+  }
+
+  // The thread shown in the chat window, created on first use.
+  function getActiveThread() {
+    return chatThreads.find(t => t.id === activeThreadId) || createChatThread();
+  }
+
+  function addThreadMessage(thread, role, content, extra = {}) {
+    thread.messages.push({ role, content, at: Date.now(), ...extra });
+    thread.updatedAt = Date.now();
+    if (thread.autoTitle && role === 'user' && thread.messages.length === 1) {
+      thread.title = content.length > 40 ? `${content.slice(0, 40).trim()}…` : content;
+    }
+    saveChatThreads();
+    renderChatThreadList();
+  }
+
+  function getChatTokenBudget() {
+    const budget = parseInt(localStorage.getItem('m2mChatTokenBudget'), 10);
+    return Number.isFinite(budget) && budget >= MIN_CHAT_TOKEN_BUDGET ? budget : DEFAULT_CHAT_TOKEN_BUDGET;
+  }
+
+  // Rough token count: about four characters per token for English text.
+  function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Build the request for a thread: the newest messages that fit the token
+   * budget, plus the summary of earlier messages in the system prompt.
+   * `firstIncluded` is the index of the oldest message sent.
+   */
+  function buildChatRequest(thread, contextPrompt) {
+    const budget = getChatTokenBudget();
+    let system = contextPrompt;
+    let used = estimateTokens(system);
+    let firstIncluded = thread.messages.length;
+    // Always send the newest message, even when it alone is over budget.
+    while (firstIncluded > 0) {
+      const cost = estimateTokens(thread.messages[firstIncluded - 1].content);
+      if (used + cost > budget && firstIncluded < thread.messages.length) break;
+      used += cost;
+      firstIncluded--;
+    }
+    if (firstIncluded > 0 && thread.summary) {
+      const summaryNote = `\n\nSummary of the earlier conversation: ${thread.summary}`;
+      // Make room for the summary by dropping the oldest messages sent.
+      used += estimateTokens(summaryNote);
+      while (used > budget && firstIncluded < thread.messages.length - 1) {
+        used -= estimateTokens(thread.messages[firstIncluded].content);
+        firstIncluded++;
+      }
+      system += summaryNote;
+    }
+    const messages = thread.messages.slice(firstIncluded).map(({ role, content }) => ({ role, content }));
+    return { system, messages, firstIncluded };
+  }
+
+  /**
+   * Fold the thread's messages before `upTo` into its running summary so
+   * later requests can leave them out. Runs in the background; on failure
+   * the messages are simply truncated.
+   */
+  async function summarizeChatThread(thread, upTo) {
+    if (summarizingThreads.has(thread.id) || isAiOffline()) return;
+    summarizingThreads.add(thread.id);
+    try {
+      const maxChars = getChatTokenBudget() * 4;
+      let transcript = thread.messages.slice(thread.summarizedCount || 0, upTo)
+        .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+        .join('\n');
+      if (transcript.length > maxChars) transcript = transcript.slice(-maxChars);
+      const previous = thread.summary ? `Summary so far: ${thread.summary}\n\n` : '';
+      const summary = await aiComplete({
+        messages: [{
+          role: 'user',
+          content: `${previous}Conversation:\n${transcript}\n\nSummarise this journaling conversation in under 120 words. Keep the user's feelings, the events they described and anything they asked you to remember.`
+        }]
       });
-      conversationHistory.forEach(m => {
-        contents.push({
-          role: m.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: m.content }]
-        });
+      if (summary && chatThreads.includes(thread)) {
+        thread.summary = summary;
+        thread.summarizedCount = upTo;
+        saveChatThreads();
+      }
+    } catch (err) {
+      console.warn('Could not summarise chat thread', err);
+    } finally {
+      summarizingThreads.delete(thread.id);
+    }
+  }
+
+  function renderChatThreadList() {
+    const select = document.getElementById('chatThreadSelect');
+    if (!select) return;
+    select.innerHTML = '';
+    chatThreads.slice().sort((a, b) => b.updatedAt - a.updatedAt).forEach(thread => {
+      const option = document.createElement('option');
+      option.value = thread.id;
+      option.textContent = thread.title;
+      select.appendChild(option);
+    });
+    if (chatThreads.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = DEFAULT_THREAD_TITLE;
+      select.appendChild(option);
+    }
+    select.value = activeThreadId || '';
+    const shareToggle = document.getElementById('chatShareJournal');
+    if (shareToggle) {
+      const thread = chatThreads.find(t => t.id === activeThreadId);
+      shareToggle.checked = !thread || thread.shareJournal !== false;
+    }
+  }
+
+  // Show the active thread's messages in the chat window.
+  function renderChatThreads() {
+    renderChatThreadList();
+    chatMessages.innerHTML = '';
+    const thread = chatThreads.find(t => t.id === activeThreadId);
+    if (!thread) return;
+    thread.messages.forEach(m => {
+      const bubble = appendMessage(m.content, m.role === 'assistant' ? 'bot' : 'user');
+      if (m.citations) appendCitations(bubble, m.citations);
+    });
+  }
+
+  function switchChatThread(id) {
+    chatAbortController?.abort();
+    activeThreadId = id;
+    renderChatThreads();
+  }
+
+  function buildChatMarkdown(thread) {
+    const lines = [`# ${thread.title}`, '', `_Started ${formatDate(thread.createdAt)}_`, ''];
+    thread.messages.forEach(m => {
+      lines.push(`**${m.role === 'assistant' ? 'Assistant' : 'You'}** · ${formatDate(m.at)}`, '', m.content, '');
+    });
+    return lines.join('\n');
+  }
+
+  const newChatThreadBtn = document.getElementById('newChatThreadBtn');
+  if (newChatThreadBtn) {
+    newChatThreadBtn.addEventListener('click', () => {
+      chatAbortController?.abort();
+      createChatThread();
+      renderChatThreads();
+      chatInput.focus();
+    });
+    document.getElementById('chatShareJournal')?.addEventListener('change', evt => {
+      const thread = getActiveThread();
+      thread.shareJournal = evt.target.checked;
+      saveChatThreads();
+      renderChatThreadList();
+    });
+    document.getElementById('chatThreadSelect')?.addEventListener('change', evt => {
+      if (evt.target.value) switchChatThread(evt.target.value);
+    });
+    document.getElementById('renameChatThreadBtn')?.addEventListener('click', () => {
+      const thread = chatThreads.find(t => t.id === activeThreadId);
+      if (!thread) return;
+      const title = window.prompt('Name this conversation:', thread.title);
+      if (!title || !title.trim()) return;
+      thread.title = title.trim();
+      thread.autoTitle = false;
+      saveChatThreads();
+      renderChatThreadList();
+    });
+    document.getElementById('exportChatThreadBtn')?.addEventListener('click', () => {
+      const thread = chatThreads.find(t => t.id === activeThreadId);
+      if (!thread || thread.messages.length === 0) {
+        alert('This conversation has no messages to export yet.');
+        return;
+      }
+      const slug = thread.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+      downloadFile(buildChatMarkdown(thread), `m2m-chat-${slug}.md`, 'text/markdown');
+    });
+    document.getElementById('deleteChatThreadBtn')?.addEventListener('click', () => {
+      const thread = chatThreads.find(t => t.id === activeThreadId);
+      if (!thread) return;
+      if (!confirm(`Delete the conversation "${thread.title}"? This cannot be undone.`)) return;
+      chatAbortController?.abort();
+      chatThreads = chatThreads.filter(t => t !== thread);
+      saveChatThreads();
+      activeThreadId = chatThreads.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0]?.id || null;
+      renderChatThreads();
+    });
+  }
+
+  /*
+    Local retrieval for the chatbot. Entry text (plus mood names) is indexed
+    in the browser with BM25, and each question pulls in the best matching
+    entries along with the most recent ones. Phrases such as "last week" or
+    "yesterday" narrow the search to that period. Nothing is sent anywhere
+    except as part of the chat request itself.
+  */
+  const RETRIEVAL_STOPWORDS = new Set(['the','and','to','is','it','in','a','of','on','for','with','that','this','was','my','me','at','had','have','has','you','we','i','am','are','be','been','but','so','do','did','why','what','how','when','where','who','which','about','an','or','as','just','im','its','were','can','could','would','should','there','then','than','they','them','he','she','his','her','our','your','from','by','not','no','yes','all','any','some','very','really','feel','felt','day','week','month','last','this','today','yesterday']);
+  const RETRIEVAL_RELEVANT_LIMIT = 5;
+  const RETRIEVAL_RECENT_LIMIT = 3;
+  const RETRIEVAL_PERIOD_LIMIT = 8;
+  const MEMORY_SNIPPET_CHARS = 400;
+
+  // Light stemming so "walks", "walked" and "walking" match "walk".
+  function stemWord(word) {
+    const stem = word.replace(/(ing|ed|es|s)$/, '');
+    return stem.length >= 3 ? stem : word;
+  }
+
+  function tokenizeForRetrieval(text) {
+    return ((text || '').toLowerCase().match(/[a-z0-9']+/g) || [])
+      .map(w => w.replace(/'/g, ''))
+      .filter(w => w.length > 1 && !RETRIEVAL_STOPWORDS.has(w))
+      .map(stemWord);
+  }
+
+  function getRetrievalIndex() {
+    if (retrievalIndex) return retrievalIndex;
+    const df = new Map();
+    let totalLength = 0;
+    const docs = entries.map(entry => {
+      const tokens = tokenizeForRetrieval(`${entry.text} ${getEntryMoodNames(entry).join(' ')}`);
+      const tf = new Map();
+      tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+      tf.forEach((count, term) => df.set(term, (df.get(term) || 0) + 1));
+      totalLength += tokens.length;
+      return { entry, tf, length: tokens.length };
+    });
+    retrievalIndex = { docs, df, avgLength: docs.length ? totalLength / docs.length : 0 };
+    return retrievalIndex;
+  }
+
+  // Okapi BM25 score of one indexed entry for the query terms.
+  function bm25Score(doc, terms, index) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const n = index.docs.length;
+    let score = 0;
+    terms.forEach(term => {
+      const freq = doc.tf.get(term);
+      if (!freq) return;
+      const df = index.df.get(term) || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      const norm = freq * (k1 + 1) / (freq + k1 * (1 - b + b * doc.length / (index.avgLength || 1)));
+      score += idf * norm;
+    });
+    return score;
+  }
+
+  /**
+   * Find a period named in a question ("today", "yesterday", "this week",
+   * "last week", "this month", "last month", "last 10 days"). Returns
+   * { from, to } timestamps or null.
+   */
+  function parseQuestionPeriod(question, now = new Date()) {
+    const q = question.toLowerCase();
+    const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    const today = startOfDay(now);
+    const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+    const weekStart = addDays(today, -today.getDay());
+    let match;
+    if (/\btoday\b/.test(q)) return { from: today.getTime(), to: now.getTime() };
+    if (/\byesterday\b/.test(q)) return { from: addDays(today, -1).getTime(), to: today.getTime() - 1 };
+    if (/\bthis week\b/.test(q)) return { from: weekStart.getTime(), to: now.getTime() };
+    if (/\blast week\b/.test(q)) return { from: addDays(weekStart, -7).getTime(), to: weekStart.getTime() - 1 };
+    if (/\bthis month\b/.test(q)) return { from: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), to: now.getTime() };
+    if (/\blast month\b/.test(q)) {
+      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+      return { from: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(), to: monthStart.getTime() - 1 };
+    }
+    if ((match = q.match(/\b(?:last|past) (\d{1,3}) days?\b/))) {
+      return { from: addDays(today, -(Number(match[1]) - 1)).getTime(), to: now.getTime() };
+    }
+    return null;
+  }
+
+  /**
+   * Pick the entries to share with the chatbot for a question: the best
+   * BM25 matches plus the most recent entries, limited to any period the
+   * question names. Returned oldest first and within a share of the chat
+   * token budget.
+   */
+  function retrieveMemories(question) {
+    if (entries.length === 0) return [];
+    const index = getRetrievalIndex();
+    const period = parseQuestionPeriod(question);
+    const docs = period
+      ? index.docs.filter(d => d.entry.timestamp >= period.from && d.entry.timestamp <= period.to)
+      : index.docs;
+    const terms = Array.from(new Set(tokenizeForRetrieval(question)));
+    const relevant = docs
+      .map(doc => ({ entry: doc.entry, score: bm25Score(doc, terms, index) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score || b.entry.timestamp - a.entry.timestamp)
+      .slice(0, RETRIEVAL_RELEVANT_LIMIT)
+      .map(r => r.entry);
+    const byDate = docs.map(d => d.entry).sort((a, b) => b.timestamp - a.timestamp);
+    const limit = period ? RETRIEVAL_PERIOD_LIMIT : RETRIEVAL_RELEVANT_LIMIT + RETRIEVAL_RECENT_LIMIT;
+    const picked = new Set(relevant);
+    // Recent entries give context; a named period is filled from its days.
+    const recentCount = period ? limit : RETRIEVAL_RECENT_LIMIT;
+    byDate.slice(0, recentCount).forEach(e => {
+      if (picked.size < limit) picked.add(e);
+    });
+    const tokenLimit = Math.floor(getChatTokenBudget() / 3);
+    let used = 0;
+    const chosen = [];
+    // Keep the most relevant first when trimming to the budget.
+    Array.from(picked).forEach(entry => {
+      const cost = estimateTokens(formatMemoryForPrompt(entry));
+      if (used + cost > tokenLimit) return;
+      used += cost;
+      chosen.push(entry);
+    });
+    return chosen.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function formatMemoryForPrompt(entry) {
+    const text = entry.text.length > MEMORY_SNIPPET_CHARS
+      ? `${entry.text.slice(0, MEMORY_SNIPPET_CHARS).trim()}…`
+      : entry.text;
+    return `- [${formatDate(entry.timestamp)}] (${formatEntryMoods(entry.moods)}) ${text.replace(/\s+/g, ' ')}`;
+  }
+
+  function describeMemoriesForPrompt(memories) {
+    return 'Journal entries the user has chosen to share, oldest first. Use them to ground your answer and mention the date when you draw on one. Do not invent entries that are not listed.\n' +
+      memories.map(formatMemoryForPrompt).join('\n');
+  }
+
+  /**
+   * List the journal entries a reply was given under its bubble. Clicking
+   * one shows that day in the timeline.
+   */
+  function appendCitations(bubble, ids) {
+    const cited = (ids || []).map(id => entries.find(e => e.id === id)).filter(Boolean);
+    if (cited.length === 0) return;
+    const details = document.createElement('details');
+    details.className = 'chat-citations';
+    const summary = document.createElement('summary');
+    summary.textContent = `Memories used (${cited.length})`;
+    details.appendChild(summary);
+    const list = document.createElement('ul');
+    cited.forEach(entry => {
+      const item = document.createElement('li');
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'chat-citation';
+      const snippet = entry.text.length > 60 ? `${entry.text.slice(0, 60).trim()}…` : entry.text;
+      link.textContent = `${formatDate(entry.timestamp)} · ${formatEntryMoods(entry.moods)} · ${snippet}`;
+      link.addEventListener('click', () => {
+        const day = new Date(entry.timestamp);
+        filterDate = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        applyFilters();
+        document.getElementById('timeline')?.scrollIntoView({ behavior: 'smooth' });
       });
-      const payload = { contents };
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Goog-Api-Key': apiKey
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+    bubble.appendChild(details);
+  }
+
+  /*
+    Chatbot actions. While journal sharing is on, the model may call these
+    tools. Reads (mood stats, timeline filters) run straight away and their
+    results go back to the model; creating an entry shows a confirmation
+    card and only touches `entries` once the user saves it.
+  */
+  const chatTools = [
+    {
+      name: 'create_entry',
+      description: 'Log a new journal entry for the user. The user confirms it before it is saved.',
+      parameters: {
+        type: 'object',
+        properties: {
+          moods: {
+            type: 'array',
+            description: 'Moods the user felt, using their mood names.',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                intensity: { type: 'integer', description: '1 (mild) to 5 (intense).' }
+              },
+              required: ['name']
+            }
+          },
+          text: { type: 'string', description: 'The entry text, in the user\'s own words.' },
+          date: { type: 'string', description: 'When it happened: YYYY-MM-DD or YYYY-MM-DDTHH:MM local time. Omit for now.' }
         },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+        required: ['moods', 'text']
       }
-      const data = await response.json();
-      const candidate = data?.candidates?.[0];
-      let reply = 'Sorry, I didn\'t catch that.';
-      if (candidate && candidate.content && candidate.content.parts && candidate.content.parts[0]) {
-        reply = candidate.content.parts[0].text;
+    },
+    {
+      name: 'get_mood_stats',
+      description: 'Count entries, days and intensity per mood, the same figures the mood chart and calendar show.',
+      parameters: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', description: 'First day to include, YYYY-MM-DD. Omit for no limit.' },
+          to: { type: 'string', description: 'Last day to include, YYYY-MM-DD. Omit for no limit.' },
+          mood: { type: 'string', description: 'Only report this mood.' }
+        }
       }
-      conversationHistory.push({ role: 'assistant', content: reply });
-      appendMessage(reply, 'bot');
+    },
+    {
+      name: 'filter_timeline',
+      description: 'Show the user the matching entries in their Memories timeline.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Words to search for in entry text.' },
+          moods: { type: 'array', items: { type: 'string' }, description: 'Only entries with any of these moods.' },
+          from: { type: 'string', description: 'First day, YYYY-MM-DD.' },
+          to: { type: 'string', description: 'Last day, YYYY-MM-DD.' },
+          clear: { type: 'boolean', description: 'Clear existing filters first.' }
+        }
+      }
+    }
+  ];
+
+  function describeChatToolsForPrompt() {
+    return `Today is ${toDateInputValue(new Date())}. The user's moods are: ${moodList.map(m => m.name).join(', ')}. ` +
+      'You can log journal entries for the user (they confirm before anything is saved), look up mood statistics and filter their Memories timeline with the tools provided. Use the tools rather than guessing numbers.';
+  }
+
+  function isDateInput(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  }
+
+  // Match a mood name case-insensitively against the mood list.
+  function resolveMoodName(name) {
+    const lower = String(name || '').trim().toLowerCase();
+    return moodList.find(m => m.name.toLowerCase() === lower)?.name || null;
+  }
+
+  /**
+   * Mood statistics for the chatbot over an optional day range, from the
+   * same tally as the chart. `days` counts calendar days, as the calendar
+   * shows them.
+   */
+  function getMoodStats({ from, to, mood } = {}) {
+    const start = isDateInput(from) ? dayStart(from) : -Infinity;
+    const end = isDateInput(to) ? dayStart(to) + 24 * 60 * 60 * 1000 : Infinity;
+    const list = entries.filter(e => e.timestamp >= start && e.timestamp < end);
+    const tally = tallyMoods(list);
+    const moodName = mood ? resolveMoodName(mood) || mood : null;
+    const moods = {};
+    Object.entries(tally).forEach(([name, t]) => {
+      if (moodName && name !== moodName) return;
+      moods[name] = {
+        entries: t.entries,
+        days: t.days.size,
+        totalIntensity: t.intensity,
+        averageIntensity: Math.round(t.intensity / t.entries * 10) / 10
+      };
+    });
+    if (moodName && !moods[moodName]) moods[moodName] = { entries: 0, days: 0, totalIntensity: 0, averageIntensity: 0 };
+    return {
+      from: isDateInput(from) ? from : null,
+      to: isDateInput(to) ? to : null,
+      entries: list.length,
+      daysWithEntries: new Set(list.map(e => new Date(e.timestamp).toDateString())).size,
+      moods
+    };
+  }
+
+  function applyTimelineFilterFromChat({ query, moods, from, to, clear } = {}) {
+    if (clear) clearAllFilters();
+    if (typeof query === 'string') searchQuery = query;
+    if (Array.isArray(moods)) searchMoods = new Set(moods.map(resolveMoodName).filter(Boolean));
+    if (isDateInput(from)) searchFrom = from;
+    if (isDateInput(to)) searchTo = to;
+    syncSearchControls();
+    applyFilters();
+    document.getElementById('timeline')?.scrollIntoView({ behavior: 'smooth' });
+    return { matchingEntries: entries.filter(getActiveFilterPredicate()).length };
+  }
+
+  // Timestamp for a date given by the model, or null if it can't be used.
+  function parseChatEntryDate(value) {
+    if (!value) return Date.now();
+    if (isDateInput(value)) {
+      const day = new Date(dayStart(value));
+      // Leave future days as they are so the card can reject them.
+      return day.getTime() > Date.now() ? day.getTime() : atCurrentTimeOfDay(day).getTime();
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+      const timestamp = new Date(value.slice(0, 16)).getTime();
+      return Number.isFinite(timestamp) ? timestamp : null;
+    }
+    return null;
+  }
+
+  /**
+   * Run the tools the model asked for. Returns the results of read tools,
+   * to send back to the model, and how many entries await confirmation.
+   */
+  function runChatTools(toolCalls, thread, bubble) {
+    const results = [];
+    let pendingWrites = 0;
+    let anchor = bubble;
+    toolCalls.forEach(call => {
+      const args = call.args || {};
+      if (call.name === 'create_entry') {
+        const card = createEntryConfirmationCard(args, thread);
+        anchor.after(card);
+        anchor = card;
+        pendingWrites++;
+      } else if (call.name === 'get_mood_stats') {
+        results.push({ id: call.id, name: call.name, result: getMoodStats(args) });
+      } else if (call.name === 'filter_timeline') {
+        results.push({ id: call.id, name: call.name, result: applyTimelineFilterFromChat(args) });
+      } else {
+        results.push({ id: call.id, name: call.name, result: { error: 'Unknown tool' } });
+      }
+    });
+    return { results, pendingWrites };
+  }
+
+  /**
+   * Build the in-chat card that asks the user to confirm an entry the
+   * model wants to log. Nothing is saved until Save is pressed.
+   */
+  function createEntryConfirmationCard(args, thread) {
+    const card = document.createElement('div');
+    card.className = 'chat-action-card';
+    const rawMoods = Array.isArray(args.moods) ? args.moods : [];
+    const moods = [];
+    const problems = [];
+    rawMoods.forEach(m => {
+      const rawName = typeof m === 'string' ? m : m?.name;
+      const name = resolveMoodName(rawName);
+      if (!name) {
+        problems.push(`“${rawName}” is not one of your moods.`);
+      } else if (!moods.some(x => x.name === name)) {
+        moods.push({ name, intensity: clampIntensity(m?.intensity) });
+      }
+    });
+    if (moods.length === 0 && problems.length === 0) problems.push('No mood was given.');
+    const text = typeof args.text === 'string' ? args.text.trim() : '';
+    if (!text) problems.push('The entry has no text.');
+    const timestamp = parseChatEntryDate(args.date);
+    if (timestamp === null) {
+      problems.push('The date could not be read.');
+    } else if (timestamp > Date.now() + 60000) {
+      problems.push('Entries can’t be dated in the future.');
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = 'Log this entry?';
+    const details = document.createElement('div');
+    details.className = 'chat-action-details';
+    details.textContent = [
+      moods.length ? formatEntryMoods(moods) : null,
+      timestamp !== null ? formatDate(timestamp) : null
+    ].filter(Boolean).join(' · ');
+    const body = document.createElement('p');
+    body.textContent = text;
+    card.append(title, details, body);
+    problems.forEach(problem => {
+      const p = document.createElement('p');
+      p.className = 'chat-action-problem';
+      p.textContent = problem;
+      card.appendChild(p);
+    });
+    const actions = document.createElement('div');
+    actions.className = 'chat-action-buttons';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'primary-btn';
+    saveBtn.textContent = 'Save entry';
+    saveBtn.disabled = problems.length > 0;
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'secondary-btn';
+    cancelBtn.textContent = 'Cancel';
+    actions.append(saveBtn, cancelBtn);
+    card.appendChild(actions);
+
+    const finish = message => {
+      card.classList.add('done');
+      card.textContent = message;
+      addThreadMessage(thread, 'assistant', message);
+    };
+    saveBtn.addEventListener('click', () => {
+      const entry = { id: createEntryId(), moods, text, timestamp: Math.min(timestamp, Date.now()) };
+      entries.push(entry);
+      saveEntries();
+      refreshEntryViews();
+      finish(`Saved to your journal: ${formatEntryMoods(moods)} on ${formatDate(entry.timestamp)}.`);
+    });
+    cancelBtn.addEventListener('click', () => finish('Okay, I didn’t log that entry.'));
+    return card;
+  }
+
+  /*
+    Safety layer. Journal text and chat messages are checked on this device
+    for phrasing that suggests thoughts of suicide, self-harm or acute
+    crisis. A match opens the support panel with helplines for the chosen
+    region and asks the AI to answer with care instead of its usual upbeat
+    tone. Nothing is sent anywhere by the check itself.
+  */
+
+  // The patterns live in crisis-detector.js so they can be tested on their own.
+  const { detectCrisisLanguage } = window.m2mCrisisDetector;
+
+  // Instruction added to AI prompts when crisis phrasing is detected.
+  const CRISIS_CARE_INSTRUCTION = 'The user\'s recent words suggest they may be thinking about suicide or self-harm, or be in acute distress. Respond with warmth, care and patience. Do not use affirmations, upbeat slogans or toxic positivity, and do not minimise what they said. Acknowledge their pain, ask gently whether they are safe right now, encourage them to contact a crisis line or someone they trust, and tell them to call their local emergency number if they are in immediate danger. Never describe methods of self-harm.';
+
+  // Shown in place of the daily affirmation when recent entries contain
+  // crisis language and the AI can't write one.
+  const CRISIS_CARE_AFFIRMATION = 'You don’t have to carry this alone. If things feel like too much, please reach out to someone you trust or a crisis line.';
+
+  // Added to summaries (day summaries, report narratives) of entries that
+  // contain crisis language.
+  const CRISIS_SUMMARY_INSTRUCTION = 'Some entries mention self-harm, suicide or acute distress: acknowledge this plainly and gently, without minimising it or describing any methods.';
+
+  /*
+    Helplines by region. Users can add their own contacts (a therapist, a
+    friend) under the list; those are stored with the journal's other
+    private values.
+  */
+  const DEFAULT_SUPPORT_REGION = 'international';
+  const supportRegions = {
+    international: {
+      label: 'International',
+      emergency: 'your local emergency number',
+      resources: [{ name: 'Find A Helpline (free, confidential support worldwide)', contact: 'findahelpline.com', href: 'https://findahelpline.com' }]
+    },
+    us: {
+      label: 'United States',
+      emergency: '911',
+      resources: [{ name: '988 Suicide & Crisis Lifeline (call or text)', contact: '988', href: 'tel:988' }]
+    },
+    ca: {
+      label: 'Canada',
+      emergency: '911',
+      resources: [{ name: '9-8-8 Suicide Crisis Helpline (call or text)', contact: '988', href: 'tel:988' }]
+    },
+    uk: {
+      label: 'United Kingdom & Ireland',
+      emergency: '999 or 112',
+      resources: [{ name: 'Samaritans (free, 24/7)', contact: '116 123', href: 'tel:116123' }]
+    },
+    au: {
+      label: 'Australia',
+      emergency: '000',
+      resources: [{ name: 'Lifeline', contact: '13 11 14', href: 'tel:131114' }]
+    },
+    nz: {
+      label: 'New Zealand',
+      emergency: '111',
+      resources: [{ name: 'Need to talk? (call or text)', contact: '1737', href: 'tel:1737' }]
+    },
+    in: {
+      label: 'India',
+      emergency: '112',
+      resources: [{ name: 'Tele-MANAS', contact: '14416', href: 'tel:14416' }]
+    }
+  };
+
+  function getSupportRegion() {
+    const saved = localStorage.getItem('m2mSupportRegion');
+    return supportRegions[saved] ? saved : DEFAULT_SUPPORT_REGION;
+  }
+
+  // The user's own contacts, one per line ("Name: number").
+  async function getSupportContacts() {
+    try {
+      return (await readSecureItem('m2mSupportContacts')) || '';
+    } catch (err) {
+      console.warn('Could not read support contacts', err);
+      return '';
+    }
+  }
+
+  /**
+   * Fill a list element with the helplines for the chosen region, the
+   * emergency number and the user's own contacts.
+   */
+  async function renderSupportResources(list) {
+    const region = supportRegions[getSupportRegion()];
+    list.innerHTML = '';
+    const addItem = (name, contact, href) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${name}: `;
+      item.appendChild(label);
+      if (href) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = contact;
+        if (href.startsWith('http')) {
+          link.target = '_blank';
+          link.rel = 'noopener';
+        }
+        item.appendChild(link);
+      } else {
+        item.appendChild(document.createTextNode(contact));
+      }
+      list.appendChild(item);
+    };
+    region.resources.forEach(r => addItem(r.name, r.contact, r.href));
+    addItem('In immediate danger, call', region.emergency, /^\d/.test(region.emergency) ? `tel:${region.emergency.split(' ')[0]}` : null);
+    const contacts = await getSupportContacts();
+    contacts.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const [name, ...rest] = line.split(':');
+      const contact = rest.join(':').trim();
+      if (contact) {
+        const digits = contact.replace(/[^\d+]/g, '');
+        addItem(name.trim(), contact, digits.length >= 3 ? `tel:${digits}` : null);
+      } else {
+        addItem('Contact', line, null);
+      }
+    });
+  }
+
+  async function showSupportPanel() {
+    const modal = document.getElementById('supportModal');
+    if (!modal) return;
+    const regionSelect = document.getElementById('supportRegion');
+    if (regionSelect) regionSelect.value = getSupportRegion();
+    const contactsInput = document.getElementById('supportContacts');
+    if (contactsInput) contactsInput.value = await getSupportContacts();
+    await renderSupportResources(document.getElementById('supportResources'));
+    modal.classList.add('open');
+  }
+
+  /**
+   * Show the helplines inside the chat, below the user's message.
+   */
+  function appendChatSupportCard() {
+    const card = document.createElement('div');
+    card.className = 'chat-support-card';
+    const heading = document.createElement('strong');
+    heading.textContent = 'It sounds like you are going through a lot. You don’t have to face this alone.';
+    const list = document.createElement('ul');
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'secondary-btn';
+    more.textContent = 'More support options';
+    more.addEventListener('click', showSupportPanel);
+    card.append(heading, list, more);
+    chatMessages.appendChild(card);
+    renderSupportResources(list).then(() => {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    });
+  }
+
+  const supportModal = document.getElementById('supportModal');
+  if (supportModal) {
+    document.getElementById('openSupportBtn')?.addEventListener('click', showSupportPanel);
+    const regionSelect = document.getElementById('supportRegion');
+    if (regionSelect) {
+      Object.entries(supportRegions).forEach(([key, region]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = region.label;
+        regionSelect.appendChild(option);
+      });
+      regionSelect.addEventListener('change', () => {
+        localStorage.setItem('m2mSupportRegion', regionSelect.value);
+        renderSupportResources(document.getElementById('supportResources'));
+      });
+    }
+    document.getElementById('saveSupportContactsBtn')?.addEventListener('click', async () => {
+      queueSecureItemWrite('m2mSupportContacts', document.getElementById('supportContacts').value.trim());
+      await storageWriteQueue;
+      renderSupportResources(document.getElementById('supportResources'));
+      showToast('Your support contacts were saved.');
+    });
+    document.getElementById('closeSupportBtn')?.addEventListener('click', () => {
+      supportModal.classList.remove('open');
+    });
+  }
+
+  /*
+    Offline app. sw.js caches the app shell, including the copies of
+    Chart.js, Font Awesome and Poppins under vendor/, so the journal opens
+    without a network.
+    While offline a banner says so and AI features use their local
+    fallbacks. The service worker is checked for updates hourly and when
+    the connection comes back; a new version is offered as a reload rather
+    than swapped in under the user.
+  */
+  const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+  function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    if (banner) banner.hidden = navigator.onLine !== false;
+  }
+
+  window.addEventListener('offline', updateOfflineBanner);
+  window.addEventListener('online', () => {
+    updateOfflineBanner();
+    // Days that couldn't be summarised while offline get another try.
+    failedDaySummaries.clear();
+    updateCalendar();
+  });
+  updateOfflineBanner();
+
+  // `waiting` is the installed service worker holding the new version. It
+  // takes over when the user chooses to reload, and the page then reloads
+  // on controllerchange.
+  function showUpdateBanner(waiting) {
+    const banner = document.getElementById('updateBanner');
+    if (!banner) return;
+    banner.hidden = false;
+    document.getElementById('reloadAppBtn').onclick = () => {
+      waiting.postMessage({ type: 'skip-waiting' });
+    };
+  }
+
+  async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register('sw.js');
     } catch (err) {
-      console.error(err);
-      appendMessage('Oops! Something went wrong while contacting the API.', 'bot');
+      console.warn('Could not register the service worker', err);
+      return;
     }
+    // Only an update needs a prompt; the first install has nothing to replace.
+    const hadController = !!navigator.serviceWorker.controller;
+    if (registration.waiting && hadController) showUpdateBanner(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const installing = registration.installing;
+      installing?.addEventListener('statechange', () => {
+        if (installing.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(installing);
+      });
+    });
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+    const checkForUpdate = () => registration.update().catch(() => {});
+    setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+    window.addEventListener('online', checkForUpdate);
   }
+  window.addEventListener('load', registerServiceWorker);
 })();
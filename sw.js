@@ -0,0 +1,83 @@
+/*
+  Service worker for Mood-To-Memories.
+
+  Each version of the worker precaches the app shell, including the pinned
+  copies of Chart.js, Font Awesome and Poppins under vendor/, into its own
+  cache and serves every file from it without going to the network.
+  Requests to other origins, such as AI providers, are never touched.
+
+  Updates come only from this file: bump CACHE_VERSION with every release.
+  The browser notices the changed sw.js, the new worker caches the whole
+  new shell while the old one keeps serving, and the page offers a reload.
+  When the new worker takes over, the old cache is removed in one go, so
+  pages never see a mix of old and new files.
+*/
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `m2m-shell-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'crisis-detector.js',
+  'mood-suggestion.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/chart.js/chart.umd.min.js',
+  'vendor/fontawesome/css/fontawesome.min.css',
+  'vendor/fontawesome/css/solid.min.css',
+  'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  'vendor/poppins/poppins.css',
+  'vendor/poppins/files/poppins-latin-400-normal.woff2',
+  'vendor/poppins/files/poppins-latin-500-normal.woff2',
+  'vendor/poppins/files/poppins-latin-600-normal.woff2',
+  'vendor/poppins/files/poppins-latin-700-normal.woff2',
+  'vendor/poppins/files/poppins-latin-ext-400-normal.woff2',
+  'vendor/poppins/files/poppins-latin-ext-500-normal.woff2',
+  'vendor/poppins/files/poppins-latin-ext-600-normal.woff2',
+  'vendor/poppins/files/poppins-latin-ext-700-normal.woff2'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('m2m-') && name !== SHELL_CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks a waiting worker to take over when the user chooses to reload.
+self.addEventListener('message', event => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+/**
+ * Answer from this version's shell cache. Every page navigation is the
+ * single-page app. Anything not precached (such as source maps) goes to
+ * the network and isn't stored.
+ */
+async function handleShellRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const navigate = request.mode === 'navigate';
+  const cached = await cache.match(navigate ? 'index.html' : request, { ignoreSearch: navigate });
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(handleShellRequest(request));
+  }
+});
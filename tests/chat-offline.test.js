@@ -0,0 +1,39 @@
+/*
+  Chat replies without an AI provider. Run with `npm test`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+async function sendChatMessage(window, text) {
+  window.document.getElementById('chatInput').value = text;
+  window.document.getElementById('chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+}
+
+function savedMessages(window) {
+  const threads = JSON.parse(window.localStorage.getItem('m2mChats') || '[]');
+  return threads.flatMap(thread => thread.messages.map(m => m.role));
+}
+
+test('the fallback reply is saved when AI is turned off', async () => {
+  const window = loadApp({ storage: { m2mAiSettings: JSON.stringify({ provider: 'none' }) } });
+  await settle();
+  await sendChatMessage(window, 'Hello there');
+  assert.deepStrictEqual(savedMessages(window), ['user', 'assistant']);
+
+  // The answer is still there after a reload.
+  const reloaded = loadApp({ storage: { ...window.localStorage } });
+  await settle();
+  const bubbles = reloaded.document.querySelectorAll('#chatMessages .bot');
+  assert.match(bubbles[bubbles.length - 1].textContent, /AI replies are turned off/);
+});
+
+test('the fallback reply is saved while offline', async () => {
+  const settings = { provider: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' };
+  const window = loadApp({ storage: { m2mAiSettings: JSON.stringify(settings), m2mGeminiKey: 'key' }, online: false });
+  await settle();
+  await sendChatMessage(window, 'First');
+  await sendChatMessage(window, 'Second');
+  assert.deepStrictEqual(savedMessages(window), ['user', 'assistant', 'user', 'assistant']);
+});
@@ -0,0 +1,54 @@
+/*
+  Examples the crisis detector must get right. Run with:
+
+    node --test tests/
+
+  Add a phrase here whenever the patterns in crisis-detector.js change.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectCrisisLanguage } = require('../crisis-detector.js');
+
+const positive = [
+  'I want to kill myself',
+  'I keep thinking about ending my life',
+  'honestly I just want to die',
+  'I feel suicidal tonight',
+  'I don’t want to wake up anymore',
+  'everyone would be better off without me',
+  'I cut myself again last night',
+  'there is no reason to live',
+  "I can't go on anymore",
+  'I have been self-harming for weeks',
+  'I am planning to end it all',
+  'life is not worth living',
+  'I wish I was dead',
+  'thinking about taking an overdose'
+];
+
+const negative = [
+  'This traffic is killing me',
+  'I am dying to see the new movie',
+  'I would never kill myself, but today was hard',
+  'I am not suicidal, just tired',
+  'Went to a suicide prevention training at work',
+  'We watched a documentary about suicide in class',
+  'I killed it at the presentation today',
+  'My phone battery died again',
+  'I could go on about this forever',
+  'I cut my hair short and love it',
+  'I am so tired I could sleep for a week',
+  'Ran until my legs wanted to give up'
+];
+
+test('flags crisis phrasing', () => {
+  positive.forEach(text => {
+    assert.notStrictEqual(detectCrisisLanguage(text).length, 0, `missed: ${text}`);
+  });
+});
+
+test('ignores everyday phrasing', () => {
+  negative.forEach(text => {
+    assert.deepStrictEqual(detectCrisisLanguage(text), [], `false alarm: ${text}`);
+  });
+});
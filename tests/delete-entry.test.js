@@ -0,0 +1,44 @@
+/*
+  Moving entries to the trash. Run with `npm test`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+const entry = { id: 'entry-1', moods: [{ name: 'Calm', intensity: 2 }], text: 'A quiet walk', timestamp: Date.now() - 60000 };
+
+function savedIds(window, key) {
+  return JSON.parse(window.localStorage.getItem(key) || '[]').map(e => e.id);
+}
+
+test('a deleted entry moves to the trash', async () => {
+  const window = loadApp({ storage: { m2mEntries: JSON.stringify([entry]) } });
+  await settle();
+  window.document.querySelector('.entry-card .delete-btn').click();
+  await settle();
+  assert.deepStrictEqual(savedIds(window, 'm2mEntries'), []);
+  assert.deepStrictEqual(savedIds(window, 'm2mTrash'), ['entry-1']);
+});
+
+test('the entry stays in the journal when the trash cannot be saved', async () => {
+  const window = loadApp({ storage: { m2mEntries: JSON.stringify([entry]) } });
+  await settle();
+  const setItem = window.Storage.prototype.setItem;
+  window.Storage.prototype.setItem = function(key, value) {
+    if (key === 'm2mTrash') throw new window.DOMException('Storage is full', 'QuotaExceededError');
+    return setItem.call(this, key, value);
+  };
+  window.document.querySelector('.entry-card .delete-btn').click();
+  await settle();
+  assert.deepStrictEqual(savedIds(window, 'm2mEntries'), ['entry-1']);
+  assert.deepStrictEqual(savedIds(window, 'm2mTrash'), []);
+  assert.strictEqual(window.document.querySelectorAll('.entry-card').length, 1);
+  assert.match(window.document.getElementById('toast').textContent, /kept in your journal/);
+
+  // Once storage works again, deleting succeeds.
+  window.Storage.prototype.setItem = setItem;
+  window.document.querySelector('.entry-card .delete-btn').click();
+  await settle();
+  assert.deepStrictEqual(savedIds(window, 'm2mEntries'), []);
+  assert.deepStrictEqual(savedIds(window, 'm2mTrash'), ['entry-1']);
+});
@@ -0,0 +1,46 @@
+/*
+  Boot index.html and the app scripts in jsdom, for tests that drive the
+  page. There is no IndexedDB here, so the journal uses its localStorage
+  backend; pass `storage` to seed it and read `window.localStorage` back.
+  Chart.js and the canvas are stubbed, and network requests fail as if
+  the device were offline.
+*/
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+const APP_SCRIPTS = ['crisis-detector.js', 'mood-suggestion.js', 'script.js'];
+
+function loadApp({ storage = {}, online = true } = {}) {
+  const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://example.test/', pretendToBeVisual: true });
+  const window = dom.window;
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+  window.Chart = class {
+    constructor(ctx, config) {
+      this.data = config.data;
+      this.options = config.options;
+    }
+    update() {}
+    destroy() {}
+  };
+  window.HTMLCanvasElement.prototype.getContext = () => ({});
+  window.Element.prototype.scrollIntoView = () => {};
+  window.alert = () => {};
+  window.confirm = () => true;
+  window.prompt = () => null;
+  window.fetch = async () => {
+    throw new TypeError('Network request failed');
+  };
+  APP_SCRIPTS.forEach(file => window.eval(fs.readFileSync(path.join(root, file), 'utf8')));
+  return window;
+}
+
+// Let pending promises and timers run.
+function settle(ms = 50) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadApp, settle };
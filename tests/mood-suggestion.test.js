@@ -0,0 +1,38 @@
+/*
+  Example entries for the on-device mood suggestion. Run with:
+
+    node --test tests/
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeMoodSuggestion } = require('../mood-suggestion.js');
+
+const moods = ['Happy', 'Sad', 'Angry', 'Excited', 'Calm'].map(name => ({ name }));
+const suggest = (text, list = moods) => analyzeMoodSuggestion(text, list)?.mood || null;
+
+test('suggests the mood the text describes', () => {
+  assert.strictEqual(suggest('I smiled all day and laughed with friends'), 'Happy');
+  assert.strictEqual(suggest('Crying again, I feel so lonely'), 'Sad');
+  assert.strictEqual(suggest('Had a long bath and feel relaxed 😌'), 'Calm');
+});
+
+test('negation cancels the word that follows', () => {
+  assert.notStrictEqual(suggest('not happy at all'), 'Happy');
+});
+
+test('reads "can\'t wait" as eagerness', () => {
+  assert.strictEqual(suggest("I can't wait for the trip!"), 'Excited');
+  assert.strictEqual(suggest('I can’t wait to see them'), 'Excited');
+  assert.strictEqual(suggest('I cannot wait for Friday'), 'Excited');
+  assert.strictEqual(suggest('I had to wait an hour at the doctor'), null);
+});
+
+test('uses keywords attached to custom moods', () => {
+  const withCustom = [...moods, { name: 'Nostalgic', keywords: ['memories', 'childhood'] }];
+  assert.strictEqual(suggest('Looking through childhood memories', withCustom), 'Nostalgic');
+});
+
+test('ignores hidden moods', () => {
+  const hidden = moods.map(m => (m.name === 'Happy' ? { ...m, hidden: true } : m));
+  assert.strictEqual(suggest('so happy today', hidden), null);
+});